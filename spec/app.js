@@ -1,6 +1,7 @@
 const express = require('express');
 const app = express();
 const opn = require('opn')
+const WebSocket = require('ws')
 
 const { execSync } = require('child_process')
 // Can't use __dirname while /spec is a symlink
@@ -12,12 +13,27 @@ const PORT = process.env.PORT || 4000;
 const HOST = process.env.HOST || 'localhost';
 const URL = `http://${HOST}:${PORT}`
 
-app.listen(PORT, HOST, function(){
+const server = app.listen(PORT, HOST, function(){
   console.log(`Unpoly specs serving on ${URL}.`)
   console.log("Press CTRL+C to quit.")
   opn(URL)
 });
 
+// An echo server for WebSocket specs.
+// Every message is sent to all clients connected to the same path.
+const echoServer = new WebSocket.Server({ server })
+
+echoServer.on('connection', function(socket, req) {
+  socket.path = req.url
+  socket.on('message', function(message) {
+    for (let client of echoServer.clients) {
+      if (client.path === socket.path && client.readyState === WebSocket.OPEN) {
+        client.send(message.toString())
+      }
+    }
+  })
+})
+
 app.get('/', function(req, res){
   res.sendFile(cwd + '/spec/menu.html');
 });
@@ -320,6 +320,483 @@ describe('up.network', function() {
 
         })
 
+        describe('with { retry } option', function() {
+
+          beforeEach(function() {
+            up.network.config.retryDelay = () => 10
+          })
+
+          it('retries a request after a network error', asyncSpec(function(next) {
+            const request = up.request('/url', { retry: 2 })
+
+            next(() => this.lastRequest().responseError())
+
+            next.after(30, () => {
+              expect(jasmine.Ajax.requests.count()).toEqual(2)
+              expect(request.retryCount).toBe(1)
+              this.respondWith('text')
+            })
+
+            next.await(() => promiseState(request))
+
+            next((result) => {
+              expect(result.state).toEqual('fulfilled')
+              expect(result.value.text).toEqual('text')
+            })
+          }))
+
+          it('retries a request after a 503 response', asyncSpec(function(next) {
+            up.request('/url', { retry: 2 })
+
+            next(() => this.respondWith('text', { status: 503 }))
+
+            next.after(30, () => {
+              expect(jasmine.Ajax.requests.count()).toEqual(2)
+            })
+          }))
+
+          it('rejects with up.Offline when no retries are left', asyncSpec(function(next) {
+            const request = up.request('/url', { retry: 1 })
+
+            next(() => this.lastRequest().responseError())
+            next.after(30, () => this.lastRequest().responseError())
+            next.await(() => promiseState(request))
+
+            next((result) => {
+              expect(jasmine.Ajax.requests.count()).toEqual(2)
+              expect(result.state).toEqual('rejected')
+              expect(result.value.name).toEqual('up.Offline')
+            })
+          }))
+
+          it('retries up to up.network.config.maxRetries times with { retry: true }', asyncSpec(function(next) {
+            up.network.config.maxRetries = 1
+            up.request('/url', { retry: true })
+
+            next(() => this.lastRequest().responseError())
+            next.after(30, () => this.lastRequest().responseError())
+            next.after(30, () => expect(jasmine.Ajax.requests.count()).toEqual(2))
+          }))
+
+          it('uses a default from up.network.config.retry', function() {
+            up.network.config.retry = 2
+            const request = up.request('/url')
+            expect(request.retry).toBe(2)
+          })
+
+          it('does not retry a request with an unsafe method', asyncSpec(function(next) {
+            const request = up.request('/url', { method: 'post', retry: 2 })
+
+            next(() => this.lastRequest().responseError())
+            next.after(30, () => expect(jasmine.Ajax.requests.count()).toEqual(1))
+            next.await(() => promiseState(request))
+            next((result) => expect(result.state).toEqual('rejected'))
+          }))
+
+          it('does not retry a request after a 404 response', asyncSpec(function(next) {
+            up.request('/url', { retry: 2 })
+
+            next(() => this.respondWith('text', { status: 404 }))
+            next.after(30, () => expect(jasmine.Ajax.requests.count()).toEqual(1))
+          }))
+
+          it('emits an up:request:retry event before each retry', asyncSpec(function(next) {
+            const listener = jasmine.createSpy('up:request:retry listener')
+            up.on('up:request:retry', listener)
+            const request = up.request('/url', { retry: 2 })
+
+            next(() => this.lastRequest().responseError())
+
+            next(() => {
+              expect(listener).toHaveBeenCalledWith(
+                jasmine.objectContaining({ request, attempt: 1, delay: 10, response: undefined }),
+                jasmine.anything(),
+                jasmine.anything()
+              )
+            })
+          }))
+
+          it('does not retry when an up:request:retry listener prevents the event', asyncSpec(function(next) {
+            up.on('up:request:retry', (event) => event.preventDefault())
+            const request = up.request('/url', { retry: 2 })
+
+            next(() => this.lastRequest().responseError())
+            next.await(() => promiseState(request))
+
+            next((result) => {
+              expect(jasmine.Ajax.requests.count()).toEqual(1)
+              expect(result.state).toEqual('rejected')
+              expect(result.value.name).toEqual('up.Offline')
+            })
+          }))
+
+          it('does not retry a request that was aborted while waiting for the retry', asyncSpec(function(next) {
+            const request = up.request('/url', { retry: 2 })
+
+            next(() => this.lastRequest().responseError())
+            next(() => request.abort())
+            next.after(30, () => {
+              expect(jasmine.Ajax.requests.count()).toEqual(1)
+              expect(request.state).toEqual('aborted')
+            })
+          }))
+
+          it('parses an [up-retry] attribute on a link', function() {
+            const link = fixture('a[href="/path"][up-retry="4"]')
+            expect(up.link.followOptions(link).retry).toBe(4)
+          })
+
+          it('parses an [up-retry] attribute without a value as true', function() {
+            const link = fixture('a[href="/path"][up-retry]')
+            expect(up.link.followOptions(link).retry).toBe(true)
+          })
+
+          it('throws an error for a { retry } option that is neither a boolean nor a number of retries', function() {
+            const makeRequest = () => up.request('/url', { retry: 'auto' })
+            expect(makeRequest).toThrowError(/Invalid { retry } option/)
+            expect(jasmine.Ajax.requests.count()).toEqual(0)
+          })
+
+          it('does not cast an [up-retry] attribute that is not a number of retries', function() {
+            const link = fixture('a[href="/path"][up-retry="auto"]')
+            expect(up.link.followOptions(link).retry).toBe('auto')
+          })
+
+        })
+
+        describe('with { offline: "queue" } option', function() {
+
+          it('adds an unsafe request to the outbox after a network error', asyncSpec(function(next) {
+            const listener = jasmine.createSpy('up:outbox:added listener')
+            up.on('up:outbox:added', listener)
+            const request = up.request('/reports', { method: 'post', params: { title: 'Report' }, offline: 'queue' })
+
+            next(() => this.lastRequest().responseError())
+            next.await(() => promiseState(request))
+
+            next((result) => {
+              expect(result.state).toEqual('rejected')
+              expect(result.value.name).toEqual('up.Offline')
+              expect(up.network.outbox.size).toBe(1)
+              expect(listener).toHaveBeenCalledWith(jasmine.objectContaining({ request, pending: 1 }), jasmine.anything(), jasmine.anything())
+            })
+          }))
+
+          it('does not add a safe request to the outbox', asyncSpec(function(next) {
+            up.request('/reports', { offline: 'queue' })
+
+            next(() => this.lastRequest().responseError())
+            next(() => expect(up.network.outbox.size).toBe(0))
+          }))
+
+          it('does not add a request to the outbox after a timeout', function(done) {
+            up.request('/reports', { method: 'post', offline: 'queue' })
+
+            u.task(() => {
+              jasmine.clock().install() // required by responseTimeout()
+              this.lastRequest().responseTimeout()
+              expect(up.network.outbox.size).toBe(0)
+              done()
+            })
+          })
+
+          it('does not add a request without { offline: "queue" } to the outbox', asyncSpec(function(next) {
+            up.request('/reports', { method: 'post' })
+
+            next(() => this.lastRequest().responseError())
+            next(() => expect(up.network.outbox.size).toBe(0))
+          }))
+
+          it('replays queued requests when the browser goes online', asyncSpec(function(next) {
+            const listener = jasmine.createSpy('up:outbox:replayed listener')
+            up.on('up:outbox:replayed', listener)
+            up.request('/reports', { method: 'post', params: { title: 'Report' }, offline: 'queue' })
+
+            next(() => this.lastRequest().responseError())
+            next(() => window.dispatchEvent(new Event('online')))
+
+            next.after(100, () => {
+              expect(jasmine.Ajax.requests.count()).toEqual(2)
+              expect(this.lastRequest().method).toEqual('POST')
+              expect(this.lastRequest().url).toMatchURL('/reports')
+              expect(this.lastRequest().data()['title']).toEqual(['Report'])
+              this.respondWith('saved')
+            })
+
+            next.after(10, () => {
+              expect(up.network.outbox.size).toBe(0)
+              expect(listener).toHaveBeenCalledWith(jasmine.objectContaining({ pending: 0 }), jasmine.anything(), jasmine.anything())
+            })
+          }))
+
+          it('emits up:outbox:conflict when the server rejects a replayed request', asyncSpec(function(next) {
+            const listener = jasmine.createSpy('up:outbox:conflict listener')
+            up.on('up:outbox:conflict', listener)
+            up.request('/reports', { method: 'post', offline: 'queue' })
+
+            next(() => this.lastRequest().responseError())
+            next(() => up.network.outbox.replay())
+            next.after(100, () => this.respondWith('conflict', { status: 409 }))
+
+            next.after(10, () => {
+              expect(up.network.outbox.size).toBe(0)
+              expect(listener).toHaveBeenCalled()
+              expect(listener.calls.mostRecent().args[0].response.status).toBe(409)
+            })
+          }))
+
+          it('keeps a request in the outbox when the replay fails with another network error', asyncSpec(function(next) {
+            up.request('/reports', { method: 'post', offline: 'queue' })
+
+            next(() => this.lastRequest().responseError())
+            next(() => up.network.outbox.replay())
+            next.after(100, () => this.lastRequest().responseError())
+            next.after(10, () => expect(up.network.outbox.size).toBe(1))
+          }))
+
+          it('does not open IndexedDB when replaying without queued requests', async function() {
+            spyOn(up.store, 'IndexedDB').and.callThrough()
+
+            await up.network.outbox.replay()
+
+            expect(up.store.IndexedDB).not.toHaveBeenCalled()
+          })
+
+          it('replays a request with a FormData payload', asyncSpec(function(next) {
+            const payload = new FormData()
+            payload.append('title', 'Report')
+            up.request('/reports', { method: 'post', payload, offline: 'queue' })
+
+            next(() => this.lastRequest().responseError())
+            next(() => up.network.outbox.replay())
+
+            next.after(100, () => {
+              expect(jasmine.Ajax.requests.count()).toEqual(2)
+              expect(this.lastRequest().data()['title']).toEqual(['Report'])
+            })
+          }))
+
+          it('throws an error when a request with a payload that cannot be stored is made', function() {
+            const payload = new ReadableStream()
+            const makeRequest = () => up.request('/reports', { method: 'post', payload, offline: 'queue' })
+            expect(makeRequest).toThrowError(/Cannot queue a request/)
+          })
+
+          it('parses an [up-offline] attribute on a form', function() {
+            const form = fixture('form[action="/reports"][method="post"][up-offline="queue"]')
+            expect(up.form.submitOptions(form).offline).toBe('queue')
+          })
+
+        })
+
+      })
+
+      describe('progress events', function() {
+
+        it('emits up:request:progress events while the response is downloading', asyncSpec(function(next) {
+          let listener = jasmine.createSpy('progress listener')
+          up.on('up:request:progress', listener)
+          let request = up.request('/foo')
+
+          next(() => {
+            this.lastRequest().onprogress({ lengthComputable: true, loaded: 25, total: 100 })
+
+            expect(listener.calls.count()).toBe(1)
+            expect(listener.calls.argsFor(0)[0]).toEqual(jasmine.objectContaining({
+              request,
+              direction: 'download',
+              loaded: 25,
+              total: 100,
+              progress: 0.25,
+            }))
+          })
+        }))
+
+        it('emits an event without { total } and { progress } if the total size is unknown', asyncSpec(function(next) {
+          let listener = jasmine.createSpy('progress listener')
+          up.on('up:request:progress', listener)
+          up.request('/foo')
+
+          next(() => {
+            this.lastRequest().onprogress({ lengthComputable: false, loaded: 25, total: 0 })
+
+            let event = listener.calls.argsFor(0)[0]
+            expect(event.loaded).toBe(25)
+            expect(event.total).toBeUndefined()
+            expect(event.progress).toBeUndefined()
+          })
+        }))
+
+        it('calls an { onProgress } callback with the event', asyncSpec(function(next) {
+          let callback = jasmine.createSpy('onProgress callback')
+          up.request('/foo', { onProgress: callback })
+
+          next(() => {
+            this.lastRequest().onprogress({ lengthComputable: true, loaded: 50, total: 100 })
+
+            expect(callback).toHaveBeenCalledWith(jasmine.objectContaining({ type: 'up:request:progress', progress: 0.5 }))
+          })
+        }))
+
+        it('does not emit events after the request was aborted', asyncSpec(function(next) {
+          let listener = jasmine.createSpy('progress listener')
+          up.on('up:request:progress', listener)
+          let request = up.request('/foo')
+
+          next(() => {
+            let xhr = this.lastRequest()
+            request.abort()
+            xhr.onprogress({ lengthComputable: true, loaded: 50, total: 100 })
+
+            expect(listener).not.toHaveBeenCalled()
+          })
+        }))
+
+        describe('for a request with a body', function() {
+
+          beforeEach(function() {
+            // The fake XHR from jasmine-ajax has no upload object.
+            XMLHttpRequest.prototype.upload = {}
+          })
+
+          afterEach(function() {
+            delete XMLHttpRequest.prototype.upload
+          })
+
+          it('emits up:request:progress events while the body is uploading', asyncSpec(function(next) {
+            let listener = jasmine.createSpy('progress listener')
+            up.on('up:request:progress', listener)
+            up.request('/documents', { method: 'post', params: { file: new Blob(['data']) } })
+
+            next(() => {
+              this.lastRequest().upload.onprogress({ lengthComputable: true, loaded: 100, total: 400 })
+
+              expect(listener.calls.argsFor(0)[0]).toEqual(jasmine.objectContaining({ direction: 'upload', progress: 0.25 }))
+            })
+          }))
+
+          it('does not listen to upload progress for a cross-origin request', asyncSpec(function(next) {
+            up.request('http://other-host.tld/documents', { method: 'post', params: { key: 'value' } })
+
+            next(() => {
+              expect(this.lastRequest().upload.onprogress).toBeUndefined()
+            })
+          }))
+
+        })
+
+      })
+
+      describe('with { transport: "fetch" } option', function() {
+
+        beforeEach(function() {
+          this.fetchSpy = spyOn(window, 'fetch').and.callFake(() => {
+            let headers = { 'Content-Type': 'text/html', 'X-Up-Title': 'Title from server' }
+            return Promise.resolve(new Response('response-text', { status: 200, headers }))
+          })
+        })
+
+        it('sends the request using fetch() instead of XHR', asyncSpec(function(next) {
+          up.request('/foo', { method: 'post', params: { key: 'value' }, target: '.target', transport: 'fetch' })
+
+          next(() => {
+            expect(this.fetchSpy).toHaveBeenCalled()
+            expect(jasmine.Ajax.requests.count()).toBe(0)
+
+            let [url, init] = this.fetchSpy.calls.mostRecent().args
+            expect(url).toMatchURL('/foo')
+            expect(init.method).toEqual('POST')
+            expect(init.body).toEqual('key=value')
+            expect(init.headers['Content-Type']).toEqual('application/x-www-form-urlencoded')
+            expect(init.headers['X-Up-Target']).toEqual('.target')
+            expect(init.headers['X-Up-Version']).toEqual(up.version)
+          })
+        }))
+
+        it('uses up.network.config.transport as a default', asyncSpec(function(next) {
+          up.network.config.transport = 'fetch'
+          up.request('/foo')
+
+          next(() => {
+            expect(this.fetchSpy).toHaveBeenCalled()
+            expect(jasmine.Ajax.requests.count()).toBe(0)
+          })
+        }))
+
+        it('resolves to an up.Response with headers parsed by up.protocol', asyncSpec(function(next) {
+          let request = up.request('/foo', { transport: 'fetch' })
+
+          next.await(() => promiseState(request))
+
+          next((result) => {
+            expect(result.state).toEqual('fulfilled')
+            let response = result.value
+            expect(response).toEqual(jasmine.any(up.Response))
+            expect(response.status).toEqual(200)
+            expect(response.text).toEqual('response-text')
+            expect(response.title).toEqual('Title from server')
+            expect(response.contentType).toEqual('text/html')
+          })
+        }))
+
+        it('passes { credentials, keepalive, fetchPriority } options to fetch()', asyncSpec(function(next) {
+          up.request('/foo', { transport: 'fetch', credentials: 'include', keepalive: true, fetchPriority: 'low' })
+
+          next(() => {
+            let init = this.fetchSpy.calls.mostRecent().args[1]
+            expect(init.credentials).toEqual('include')
+            expect(init.keepalive).toBe(true)
+            expect(init.priority).toEqual('low')
+          })
+        }))
+
+        it('aborts the fetch() call through its AbortSignal when the request is aborted', asyncSpec(function(next) {
+          let request = up.request('/foo', { transport: 'fetch' })
+
+          next(() => {
+            let init = this.fetchSpy.calls.mostRecent().args[1]
+            expect(init.signal.aborted).toBe(false)
+
+            request.abort()
+
+            expect(init.signal.aborted).toBe(true)
+          })
+
+          next.await(() => promiseState(request))
+
+          next((result) => {
+            expect(result.state).toEqual('rejected')
+            expect(result.value).toBeAbortError()
+          })
+        }))
+
+        it('emits up:request:progress events while reading the response', asyncSpec(function(next) {
+          let listener = jasmine.createSpy('progress listener')
+          up.on('up:request:progress', listener)
+          let request = up.request('/foo', { transport: 'fetch' })
+
+          next.await(() => request)
+
+          next(() => {
+            expect(listener).toHaveBeenCalled()
+            let lastEvent = listener.calls.mostRecent().args[0]
+            expect(lastEvent.direction).toEqual('download')
+            expect(lastEvent.loaded).toBe('response-text'.length)
+          })
+        }))
+
+        it('rejects with up.Offline when fetch() fails with a network error', asyncSpec(function(next) {
+          this.fetchSpy.and.returnValue(Promise.reject(new TypeError('Failed to fetch')))
+          let request = up.request('/foo', { transport: 'fetch' })
+
+          next.await(() => promiseState(request))
+
+          next((result) => {
+            expect(result.state).toEqual('rejected')
+            expect(result.value.name).toEqual('up.Offline')
+          })
+        }))
+
       })
 
       describe('when the server responds with an X-Up-Method header', function() {
@@ -678,6 +1155,36 @@ describe('up.network', function() {
         })
       })
 
+      describe('with { contentType: "application/json" } option', function() {
+
+        it('encodes the params as a JSON object', asyncSpec(function(next) {
+          const params = { 'user[name]': 'Alice', 'user[tags][]': ['a', 'b'] }
+          up.request({ url: '/path', method: 'post', params, contentType: 'application/json' })
+
+          next(() => {
+            expect(this.lastRequest().requestHeaders['Content-Type']).toEqual('application/json')
+            expect(JSON.parse(this.lastRequest().params)).toEqual({ user: { name: 'Alice', tags: ['a', 'b'] } })
+          })
+        }))
+
+        it('does not wrap the method in a _method param', asyncSpec(function(next) {
+          up.request({ url: '/path', method: 'patch', params: { foo: 'bar' }, contentType: 'application/json' })
+
+          next(() => {
+            expect(this.lastRequest().method).toEqual('PATCH')
+            expect(JSON.parse(this.lastRequest().params)).toEqual({ foo: 'bar' })
+          })
+        }))
+
+        it('throws an error when the params contain binary values', function() {
+          const params = { file: new Blob(['content']) }
+          const request = () => up.request({ url: '/path', method: 'post', params, contentType: 'application/json' })
+
+          expect(request).toThrowError(/Cannot encode binary params/)
+          expect(jasmine.Ajax.requests.count()).toBe(0)
+        })
+      })
+
       describe('with { cache } option', function() {
 
         it('caches server responses for the configured duration', asyncSpec(function(next) {
@@ -782,6 +1289,74 @@ describe('up.network', function() {
           })
         )
 
+        it('respects a config.cacheMaxBytes setting, evicting the least recently used responses', asyncSpec(function(next) {
+          up.network.config.cacheMaxBytes = 25
+
+          next(() => up.request({url: '/foo', cache: true}))
+          next(() => this.respondWith('0123456789'))
+          next(() => up.request({url: '/bar', cache: true}))
+          next(() => this.respondWith('0123456789'))
+          // Use /foo so /bar becomes the least recently used response
+          next(() => up.request({url: '/foo', cache: true}))
+          next(() => up.request({url: '/baz', cache: true}))
+          next(() => this.respondWith('0123456789'))
+
+          next(() => {
+            expect(jasmine.Ajax.requests.count()).toEqual(3)
+            expect({url: '/foo'}).toBeCached()
+            expect({url: '/bar'}).not.toBeCached()
+            expect({url: '/baz'}).toBeCached()
+          })
+        }))
+
+        describe('with caching headers', function() {
+
+          it('does not cache a response with Cache-Control: no-store', asyncSpec(function(next) {
+            next(() => up.request({url: '/foo', cache: true}))
+            next(() => this.respondWith({ responseText: 'foo', responseHeaders: { 'Cache-Control': 'no-store' } }))
+            next(() => {
+              expect({url: '/foo'}).not.toBeCached()
+
+              up.request({url: '/foo', cache: true})
+            })
+            next(() => expect(jasmine.Ajax.requests.count()).toEqual(2))
+          }))
+
+          it('expires a response after its Cache-Control: max-age instead of config.cacheExpiry', asyncSpec(function(next) {
+            up.network.config.cacheExpiry = 10000
+
+            next(() => up.request({url: '/foo', cache: true}))
+            next(() => this.respondWith({ responseText: 'foo', responseHeaders: { 'Cache-Control': 'max-age=0' } }))
+            next(() => up.request({url: '/foo', cache: true}))
+            next(() => expect(jasmine.Ajax.requests.count()).toEqual(2))
+          }))
+
+          it('keeps using a stale response during its Cache-Control: stale-while-revalidate window', asyncSpec(function(next) {
+            let responses = []
+
+            next(() => up.request({url: '/foo', cache: true}))
+            next(() => this.respondWith({ responseText: 'foo', responseHeaders: { 'Cache-Control': 'max-age=0, stale-while-revalidate=60' } }))
+            next(() => up.request({url: '/foo', cache: true}).then((response) => responses.push(response)))
+            next(() => {
+              expect(jasmine.Ajax.requests.count()).toEqual(1)
+              expect(responses.length).toBe(1)
+              expect(responses[0].text).toBe('foo')
+              expect(responses[0].stale).toBe(true)
+            })
+          }))
+
+          it('considers a response without caching headers fresh for config.cacheFreshAge', asyncSpec(function(next) {
+            up.network.config.cacheFreshAge = 100
+            let request
+
+            next(() => request = up.request({url: '/foo', cache: true}))
+            next(() => this.respondWith('foo'))
+            next(() => expect(request.response.stale).toBe(false))
+            next.after(150, () => expect(request.response.stale).toBe(true))
+          }))
+
+        })
+
         it("doesn't reuse responses when asked for the same path, but different selectors", asyncSpec(function(next) {
           next(() => up.request({url: '/path', target: '.a', cache: true}))
           next(() => up.request({url: '/path', target: '.b', cache: true}))
@@ -864,6 +1439,119 @@ describe('up.network', function() {
         })
       })
 
+      describe('with a persistent up.network.config.cacheStore', function() {
+
+        beforeEach(function() {
+          up.network.config.cacheStore = 'session'
+        })
+
+        it('restores a cached response after the in-memory cache was lost, e.g. after a full page load', asyncSpec(function(next) {
+          up.request({ url: '/foo', cache: true })
+
+          next(() => {
+            this.respondWith({ responseText: 'persisted text', responseHeaders: { 'X-Up-Title': 'Persisted title', 'ETag': 'W/"123"' } })
+          })
+
+          next(() => {
+            expect(sessionStorage.getItem('up.network.cache')).toContain('persisted text')
+
+            // Simulate a full page load by discarding all in-memory cache entries.
+            up.cache.store.clear()
+
+            this.request = up.request({ url: '/foo', cache: true })
+          })
+
+          next.await(() => promiseState(this.request))
+
+          next((result) => {
+            expect(jasmine.Ajax.requests.count()).toBe(1)
+            expect(result.state).toEqual('fulfilled')
+            let response = result.value
+            expect(response.text).toEqual('persisted text')
+            expect(response.status).toEqual(200)
+            expect(response.url).toMatchURL('/foo')
+            expect(response.title).toEqual('Persisted title')
+            expect(response.etag).toEqual('W/"123"')
+          })
+        }))
+
+        it('persists a response only once, after it was loaded', asyncSpec(function(next) {
+          spyOn(up.store.Session.prototype, 'set').and.callThrough()
+          up.request({ url: '/foo', cache: true })
+
+          next(() => {
+            expect(up.store.Session.prototype.set).not.toHaveBeenCalled()
+            this.respondWith('persisted text')
+          })
+
+          next(() => {
+            expect(up.store.Session.prototype.set.calls.count()).toBe(1)
+          })
+        }))
+
+        it('does not write the persistent store when reading a persisted response', asyncSpec(function(next) {
+          up.request({ url: '/foo', cache: true })
+
+          next(() => this.respondWith('persisted text'))
+
+          next(() => {
+            up.cache.store.clear()
+            spyOn(up.store.Session.prototype, 'set').and.callThrough()
+            spyOn(up.store.Session.prototype, 'remove').and.callThrough()
+
+            up.request({ url: '/foo', cache: true })
+
+            expect(up.store.Session.prototype.set).not.toHaveBeenCalled()
+            expect(up.store.Session.prototype.remove).not.toHaveBeenCalled()
+          })
+        }))
+
+        it('does not persist failed responses', asyncSpec(function(next) {
+          up.request({ url: '/foo', cache: true })
+
+          next(() => {
+            this.respondWith({ status: 500, responseText: 'error text' })
+          })
+
+          next(() => {
+            expect(sessionStorage.getItem('up.network.cache') || '').not.toContain('error text')
+          })
+        }))
+
+        it('removes persisted responses when the cache is cleared', asyncSpec(function(next) {
+          up.request({ url: '/foo', cache: true })
+          up.request({ url: '/bar', cache: true })
+
+          next(() => {
+            this.respondWith({ request: jasmine.Ajax.requests.at(0), responseText: 'foo text' })
+            this.respondWith({ request: jasmine.Ajax.requests.at(1), responseText: 'bar text' })
+          })
+
+          next(() => {
+            up.cache.clear('/foo')
+
+            let persisted = sessionStorage.getItem('up.network.cache')
+            expect(persisted).not.toContain('foo text')
+            expect(persisted).toContain('bar text')
+          })
+        }))
+
+        it('does not restore persisted responses older than up.network.config.cacheExpiry', asyncSpec(function(next) {
+          up.network.config.cacheExpiry = 200
+          up.request({ url: '/foo', cache: true })
+
+          next(() => {
+            this.respondWith('persisted text')
+          })
+
+          next.after(250, () => {
+            up.cache.store.clear()
+            expect(up.cache.get({ url: '/foo' })).toBeUndefined()
+          })
+        }))
+
+      })
+
       describe('when there is an existing cache entry and a new request has { cache: false }', function() {
 
         it('keeps the existing response in the cache while the new request is loading', asyncSpec(function(next) {
@@ -1274,6 +1962,107 @@ describe('up.network', function() {
             expect(responses).toEqual(['first response', 'second response'])
           });
         }))
+
+        it('sends queued requests with a higher { priority } first', asyncSpec(function(next) {
+          up.request({url: '/blocker'})
+
+          next(() => {
+            up.request({url: '/low', priority: -5})
+            up.request({url: '/high', priority: 5})
+            up.request({url: '/default'})
+          })
+
+          next(() => {
+            expect(jasmine.Ajax.requests.count()).toEqual(1)
+            this.respondWith('response', {request: jasmine.Ajax.requests.at(0)})
+          })
+
+          next(() => {
+            expect(this.lastRequest().url).toMatchURL('/high')
+            this.respondWith('response')
+          })
+
+          next(() => {
+            expect(this.lastRequest().url).toMatchURL('/default')
+            this.respondWith('response')
+          })
+
+          next(() => {
+            expect(this.lastRequest().url).toMatchURL('/low')
+          })
+        }))
+
+        it('sends queued foreground requests before queued background requests', asyncSpec(function(next) {
+          up.request({url: '/blocker'})
+
+          next(() => {
+            up.request({url: '/background', background: true})
+            up.request({url: '/foreground'})
+          })
+
+          next(() => {
+            this.respondWith('response', {request: jasmine.Ajax.requests.at(0)})
+          })
+
+          next(() => {
+            expect(this.lastRequest().url).toMatchURL('/foreground')
+          })
+        }))
+
+        describe('with config.reservedConcurrency set', function() {
+
+          it('keeps reserved slots free for requests with a high priority', asyncSpec(function(next) {
+            up.network.config.concurrency = 2
+            up.network.config.reservedConcurrency = { 0: 1 }
+
+            up.request({url: '/background1', background: true})
+            up.request({url: '/background2', background: true})
+
+            next(() => {
+              expect(jasmine.Ajax.requests.count()).toEqual(1)
+              expect(this.lastRequest().url).toMatchURL('/background1')
+
+              up.request({url: '/foreground'})
+            })
+
+            next(() => {
+              expect(jasmine.Ajax.requests.count()).toEqual(2)
+              expect(this.lastRequest().url).toMatchURL('/foreground')
+            })
+          }))
+
+        })
+
+        describe('with config.originConcurrency set', function() {
+
+          it('limits the number of concurrent requests per origin', asyncSpec(function(next) {
+            up.network.config.concurrency = 6
+            up.network.config.originConcurrency = 1
+
+            up.request({url: 'https://api.example.com/poll1', background: true})
+            up.request({url: 'https://api.example.com/poll2', background: true})
+            up.request({url: '/page'})
+
+            next(() => {
+              let urls = jasmine.Ajax.requests.all().map((request) => request.url)
+              expect(urls.length).toBe(2)
+              expect(urls[0]).toMatchURL('https://api.example.com/poll1')
+              expect(urls[1]).toMatchURL('/page')
+            })
+          }))
+
+          it('calls a function with the origin to get its limit', asyncSpec(function(next) {
+            let limitFn = jasmine.createSpy('limit function').and.returnValue(1)
+            up.network.config.originConcurrency = limitFn
+
+            up.request({url: 'https://api.example.com/path'})
+
+            next(() => {
+              expect(limitFn).toHaveBeenCalledWith('https://api.example.com')
+            })
+          }))
+
+        })
       })
 
       describe('up:request:load event', function() {
@@ -35,11 +35,14 @@ require('./unpoly/classes/fragment_data_proxy_handler')
 require('./unpoly/classes/compiler_pass')
 require('./unpoly/classes/css_transition')
 require('./unpoly/classes/destructor_pass')
+require('./unpoly/classes/drawer_swipe')
 require('./unpoly/classes/event_emitter')
 require('./unpoly/classes/event_listener')
 require('./unpoly/classes/event_listener_group')
 require('./unpoly/classes/field_watcher')
 require('./unpoly/classes/form_validator')
+require('./unpoly/classes/form_autosave')
+require('./unpoly/classes/form_wizard')
 require('./unpoly/classes/focus_capsule')
 require('./unpoly/classes/fragment_processor')
 require('./unpoly/classes/fragment_finder')
@@ -56,6 +59,7 @@ require('./unpoly/classes/layer/modal')
 require('./unpoly/classes/layer/popup')
 require('./unpoly/classes/layer/drawer')
 require('./unpoly/classes/layer/cover')
+require('./unpoly/classes/layer/toast')
 require('./unpoly/classes/layer_lookup')
 require('./unpoly/classes/layer_stack')
 require('./unpoly/classes/link_feedback_urls')
@@ -66,6 +70,7 @@ require('./unpoly/classes/options_parser')
 require('./unpoly/classes/overlay_focus')
 require('./unpoly/classes/params')
 require('./unpoly/classes/progress_bar')
+require('./unpoly/classes/radio_channel')
 require('./unpoly/classes/render_options')
 require('./unpoly/classes/render_result')
 require('./unpoly/classes/request')
@@ -73,12 +78,16 @@ require('./unpoly/classes/request/cache')
 require('./unpoly/classes/request/queue')
 require('./unpoly/classes/request/form_renderer')
 require('./unpoly/classes/request/xhr_renderer')
+require('./unpoly/classes/request/fetch_renderer')
+require('./unpoly/classes/request/outbox')
 require('./unpoly/classes/response')
 require('./unpoly/classes/response_doc')
 require('./unpoly/classes/reveal_motion')
 require('./unpoly/classes/selector')
 require('./unpoly/classes/store/memory')
 require('./unpoly/classes/store/session')
+require('./unpoly/classes/store/local')
+require('./unpoly/classes/store/indexed_db')
 require('./unpoly/classes/tether')
 require('./unpoly/classes/url_pattern')
 
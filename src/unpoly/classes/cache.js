@@ -11,9 +11,21 @@ up.Cache = class Cache {
   @param {number|Function(): number} [config.size]
     Maximum number of cache entries.
     Set to `undefined` to not limit the cache size.
+  @param {number|Function(): number} [config.maxBytes]
+    Maximum number of bytes that all cache entries may take up.
+    Set to `undefined` to not limit the number of bytes.
+  @param {Function(value): number} [config.bytes]
+    A function that takes a cached value and returns the number of bytes it takes up.
+    If omitted, all values are considered to take up zero bytes.
   @param {number|Function(): number} [config.expiry]
     The number of milliseconds after which a cache entry
     will be discarded.
+  @param {boolean} [config.touch=true]
+    Whether reading an entry makes it the most recently used entry.
+
+    Pass `false` for a store that writes through to persistent storage,
+    where reordering entries on every read would be expensive.
+    Entries are then evicted in the order they were written.
   @param {string} [config.logPrefix]
     A prefix for log entries printed by this cache object.
   @param {Function(entry): string} [config.key]
@@ -42,6 +54,21 @@ up.Cache = class Cache {
     return u.evalOption(this.config.expiry)
   }
 
+  maxBytes() {
+    return u.evalOption(this.config.maxBytes)
+  }
+
+  valueBytes(value) {
+    return this.config.bytes?.(value) || 0
+  }
+
+  totalBytes() {
+    // The store may already contain entries when we are constructed,
+    // e.g. when it is persisted in sessionStorage.
+    this.bytesCount ??= this.keys().reduce((sum, key) => sum + (this.store.get(key).bytes || 0), 0)
+    return this.bytesCount
+  }
+
   normalizeStoreKey(key) {
     if (this.config.key) {
       return this.config.key(key)
@@ -56,6 +83,7 @@ up.Cache = class Cache {
 
   clear() {
     this.store.clear()
+    this.bytesCount = 0
   }
 
   log(...args) {
@@ -76,30 +104,22 @@ up.Cache = class Cache {
     })
   }
 
-  makeRoomForAnotherEntry() {
-    if (this.hasRoomForAnotherEntry()) {
-      return
-    }
-
+  // Our store keeps keys in insertion order, and we re-insert an entry whenever
+  // it is read or written. Hence the store's first key is always the
+  // least recently used entry and we can evict it without scanning all keys.
+  makeRoomForAnotherEntry(bytes = 0) {
     let oldestKey
-    let oldestTimestamp
-    this.each(function(key, request, timestamp) {
-      if (!oldestTimestamp || (oldestTimestamp > timestamp)) {
-        oldestKey = key
-        oldestTimestamp = timestamp
-      }
-    })
-
-    if (oldestKey) {
-      this.store.remove(oldestKey)
+    while (!this.hasRoomForAnotherEntry(bytes) && u.isDefined(oldestKey = this.store.firstKey())) {
+      this.removeStoreKey(oldestKey)
     }
   }
 
-  hasRoomForAnotherEntry() {
+  hasRoomForAnotherEntry(bytes = 0) {
     const maxSize = this.maxSize()
-    return !maxSize || (this.size() < maxSize)
+    const maxBytes = this.maxBytes()
+    return (!maxSize || (this.size() < maxSize)) && (!maxBytes || (this.totalBytes() + bytes <= maxBytes))
   }
-      
+
   alias(oldKey, newKey) {
     const value = this.get(oldKey, {silent: true})
     if (u.isDefined(value)) {
@@ -113,19 +133,52 @@ up.Cache = class Cache {
 
   set(key, value) {
     if (this.isEnabled()) {
-      this.makeRoomForAnotherEntry()
       const storeKey = this.normalizeStoreKey(key)
       const entry = {
         timestamp: this.timestamp(),
-        value
+        value,
+        bytes: this.valueBytes(value)
       }
-      this.store.set(storeKey, entry)
+      this.setEntry(storeKey, entry)
     }
   }
 
+  setEntry(storeKey, entry) {
+    // Remove an existing entry first, so the new entry moves to the end
+    // of our LRU order and the old entry's bytes are no longer counted.
+    this.removeStoreKey(storeKey)
+
+    const maxBytes = this.maxBytes()
+    if (maxBytes && (entry.bytes > maxBytes)) {
+      // Evicting all other entries would still not make enough room.
+      this.log("Not caching '%s' since it exceeds %d bytes", storeKey, maxBytes)
+      return
+    }
+
+    this.makeRoomForAnotherEntry(entry.bytes)
+    this.bytesCount = this.totalBytes() + entry.bytes
+    this.store.set(storeKey, entry)
+  }
+
   remove(key) {
     const storeKey = this.normalizeStoreKey(key)
+    this.removeStoreKey(storeKey)
+  }
+
+  removeStoreKey(storeKey) {
+    const entry = this.store.get(storeKey)
+    if (entry) {
+      this.bytesCount = this.totalBytes() - (entry.bytes || 0)
+      this.store.remove(storeKey)
+    }
+  }
+
+  touch(storeKey, entry) {
+    if (this.config.touch === false) return
+
+    // Move the entry to the end of our LRU order.
     this.store.remove(storeKey)
+    this.store.set(storeKey, entry)
   }
 
   isFresh(entry) {
@@ -144,6 +197,7 @@ up.Cache = class Cache {
     if (entry) {
       if (this.isFresh(entry)) {
         if (!options.silent) { this.log("Cache hit for '%s'", key); }
+        this.touch(storeKey, entry)
         return entry.value
       } else {
         if (!options.silent) { this.log("Discarding stale cache entry for '%s'", key); }
@@ -9,9 +9,14 @@ up.Change.Addition = class Addition extends up.Change {
     this.acceptLayer = options.acceptLayer
     this.dismissLayer = options.dismissLayer
     this.eventPlans = options.eventPlans || []
+    this.toasts = options.toasts || []
   }
 
   handleLayerChangeRequests() {
+    // The server may send an HTTP header `X-Up-Toasts: [...]`.
+    // We open toasts first, so they're shown even when the layer closes below.
+    this.openToasts()
+
     if (this.layer.isOverlay()) {
       // The server may send an HTTP header `X-Up-Accept-Layer: value`
       this.tryAcceptLayerFromServer()
@@ -48,6 +53,12 @@ up.Change.Addition = class Addition extends up.Change {
     })
   }
 
+  openToasts() {
+    for (let toast of this.toasts) {
+      up.error.muteUncriticalRejection(up.layer.open({ ...toast, mode: 'toast' }))
+    }
+  }
+
   tryAcceptLayerFromServer() {
     // When accepting without a value, the server will send X-Up-Accept-Layer: null
     if (u.isDefined(this.acceptLayer) && this.layer.isOverlay()) {
@@ -58,7 +69,9 @@ up.Change.Addition = class Addition extends up.Change {
   tryDismissLayerFromServer() {
     // When dismissing without a value, the server will send X-Up-Dismiss-Layer: null
     if (u.isDefined(this.dismissLayer) && this.layer.isOverlay()) {
-      this.layer.dismiss(this.dismissLayer)
+      // The render that made the server dismiss the layer has already asked
+      // to discard unsaved changes.
+      this.layer.dismiss(this.dismissLayer, { dirtyGuard: false })
     }
   }
 
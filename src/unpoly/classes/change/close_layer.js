@@ -21,6 +21,15 @@ up.Change.CloseLayer = class CloseLayer extends up.Change.Removal {
 
     up.browser.assertConfirmed(this.options)
 
+    // Ask before we discard unsaved changes in a form with [up-dirty-guard].
+    // Child layers will be peeled and lose their changes too.
+    if (this.verb === 'dismiss' && this.preventable) {
+      let discardedElements = u.map([this.layer, ...this.layer.descendants], 'element')
+      if (!up.form.confirmDiscard(discardedElements, this.options)) {
+        throw new up.AbortError('User kept unsaved changes')
+      }
+    }
+
     if (this.emitCloseEvent().defaultPrevented && this.preventable) {
       throw new up.AbortError('Close event was prevented')
     }
@@ -41,9 +50,15 @@ up.Change.CloseLayer = class CloseLayer extends up.Change.Removal {
     this.layer.stack.remove(this.layer)
 
     // Restore the history of the parent layer we just uncovered.
-    parent.restoreHistory()
+    // When the browser has already restored a history entry, we must not push another.
+    // A floating layer like a toast never covered its parent.
+    if (!this.layer.isFloating()) {
+      if (this.options.history !== false) {
+        parent.restoreHistory()
+      }
 
-    this.handleFocus(parent)
+      this.handleFocus(parent)
+    }
 
     this.layer.teardownHandlers()
     this.layer.destroyElements(this.options) // this will also pass the { onFinished } option
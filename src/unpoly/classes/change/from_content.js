@@ -20,7 +20,7 @@ up.Change.FromContent = class FromContent extends up.Change {
     // postflightOptions argument once the response is received and has provided refined
     // options.
     this.origin = this.options.origin
-    this.preview = this.options.preview
+    this.preflight = this.options.preflight
     this.mode = this.options.mode
 
     // When we're swapping elements in origin's layer, we can be choose a fallback
@@ -95,7 +95,7 @@ up.Change.FromContent = class FromContent extends up.Change {
   }
 
   getResponseDoc() {
-    if (this.preview) return
+    if (this.preflight) return
 
     const docOptions = u.pick(this.options, [
       'target',
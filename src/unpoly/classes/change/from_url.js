@@ -31,6 +31,17 @@ up.Change.FromURL = class FromURL extends up.Change {
 
     up.feedback.showAroundRequest(this.request, this.options)
 
+    up.feedback.showProgress(this.request, this.options)
+
+    // A placeholder replaces the content of a preview for the same elements.
+    // Hence we remove the placeholder before we revert the preview, which then restores the original content.
+    let undoPreview = up.feedback.showPreview(this.request, this.options)
+    let undoPlaceholder = up.feedback.showPlaceholder(this.request, this.options)
+
+    // Both are reverted when the request settles. Since we register
+    // this before onRequestSettled(), they are reverted before we render the response.
+    u.always(this.request, u.sequence([undoPlaceholder, undoPreview]))
+
     up.form.disableWhile(this.request, this.options)
 
     if (this.options.preload) {
@@ -81,11 +92,11 @@ up.Change.FromURL = class FromURL extends up.Change {
   }
 
   preflightPropsForRenderOptions(renderOptions, requestAttributesOptions) {
-    const preview = new up.Change.FromContent({ ...renderOptions, preview: true })
+    const preflightChange = new up.Change.FromContent({ ...renderOptions, preflight: true })
     // #getPreflightProps() will return meta information about the change that is most
     // likely before the request was dispatched.
     // This might change postflight if the response does not contain the desired target.
-    return preview.getPreflightProps(requestAttributesOptions)
+    return preflightChange.getPreflightProps(requestAttributesOptions)
   }
 
   onRequestSettled(response) {
@@ -183,6 +194,7 @@ up.Change.FromURL = class FromURL extends up.Change {
         focus: 'keep',
         transition: false, // offerring something like { verifyTransition } would mean we need to delay { onFinished } even further
         cache: false, // this implies { revalidate: false }
+        revalidating: true, // the user has already seen toasts from the cached response
         confirm: false,
         feedback: false,
         abort: false,
@@ -200,6 +212,14 @@ up.Change.FromURL = class FromURL extends up.Change {
     return renderResult
   }
 
+  // Toasts are only shown when a response fresh from the network is rendered for the first time.
+  // A cached response may be rendered many times, so we remove its toasts once we have taken them.
+  takeToasts(renderOptions) {
+    let { toasts } = this.response
+    this.response.toasts = undefined
+    if (!renderOptions.revalidating) return toasts
+  }
+
   augmentOptionsFromResponse(renderOptions) {
     const responseURL = this.response.url
     let serverLocation = responseURL
@@ -226,6 +246,7 @@ up.Change.FromURL = class FromURL extends up.Change {
     renderOptions.location = this.improveHistoryValue(renderOptions.location, serverLocation)
     renderOptions.title = this.improveHistoryValue(renderOptions.title, this.response.title)
     renderOptions.eventPlans = this.response.eventPlans
+    renderOptions.toasts = this.takeToasts(renderOptions)
 
     let serverTarget = this.response.target
     if (serverTarget) {
@@ -63,14 +63,18 @@ up.Change.OpenLayer = class OpenLayer extends up.Change.Addition {
       throw new up.AbortError('Open event was prevented')
     }
 
+    this.layer = this.buildLayer()
+
     // Make sure that the baseLayer layer doesn't already have a child layer.
     // Note that this cannot be prevented with { peel: false }!
     // We don't wait for the peeling to finish.
-    this.baseLayer.peel()
+    // A floating layer like a toast does not replace other overlays.
+    if (!this.layer.isFloating()) {
+      this.baseLayer.peel()
+    }
 
     // Change the stack sync. Don't wait for peeling to finish.
-    this.layer = this.buildLayer()
-    up.layer.stack.push(this.layer)
+    up.layer.stack.add(this.layer)
 
     this.layer.createElements(this.content)
     this.layer.setupHandlers()
@@ -101,7 +105,9 @@ up.Change.OpenLayer = class OpenLayer extends up.Change.Addition {
 
     // Don't wait for the open animation to finish.
     // Otherwise a popup would start to open and only reveal itself after the animation.
-    this.handleScroll()
+    if (!this.layer.isFloating()) {
+      this.handleScroll()
+    }
 
 
     let renderResult = new up.RenderResult({
@@ -162,7 +168,9 @@ up.Change.OpenLayer = class OpenLayer extends up.Change.Addition {
       this.layer.history = up.fragment.hasAutoHistory(this.content)
     }
 
-    this.layer.parent.saveHistory()
+    if (!this.layer.isFloating()) {
+      this.layer.parent.saveHistory()
+    }
 
     // For the initial fragment insertion we always update history, even if the layer
     // does not have visible history ({ history } attribute). This ensures that a
@@ -171,6 +179,9 @@ up.Change.OpenLayer = class OpenLayer extends up.Change.Addition {
   }
 
   handleFocus() {
+    // A floating layer must not steal the focus from the layer the user is working in.
+    if (this.layer.isFloating()) return
+
     this.baseLayer.overlayFocus?.moveToBack()
     this.layer.overlayFocus.moveToFront()
 
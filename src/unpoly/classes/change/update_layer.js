@@ -41,6 +41,23 @@ up.Change.UpdateLayer = class UpdateLayer extends up.Change.Addition {
     return u.map(this.steps, 'oldElement')
   }
 
+  // Asks before we discard unsaved changes in a form with [up-dirty-guard].
+  guardDirtyForms() {
+    // Only 'swap' and 'content' placements remove the contents of the old element.
+    let discardedElements = this.steps
+      .filter((step) => step.placement === 'swap' || step.placement === 'content')
+      .map((step) => step.oldElement)
+
+    // Overlays that we're about to peel would lose their changes too.
+    if (this.options.peel) {
+      discardedElements.push(...u.map(this.layer.descendants, 'element'))
+    }
+
+    if (!up.form.confirmDiscard(discardedElements, this.options)) {
+      throw new up.AbortError('User kept unsaved changes')
+    }
+  }
+
   execute(responseDoc, onApplicable) {
     this.responseDoc = responseDoc
 
@@ -48,6 +65,8 @@ up.Change.UpdateLayer = class UpdateLayer extends up.Change.Addition {
     // and the response document.
     this.matchPostflight()
 
+    this.guardDirtyForms()
+
     onApplicable()
 
     if (this.steps.length) {
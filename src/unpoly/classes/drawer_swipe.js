@@ -0,0 +1,177 @@
+const u = up.util
+const e = up.element
+
+// Pressing these elements keeps its usual meaning, even within a draggable drawer box.
+const INTERACTIVE_SELECTOR = 'a, button, input, select, textarea, label, summary, [contenteditable]'
+
+// The distance a pointer must travel before we know whether the user is swiping or scrolling.
+const DRAG_START_DISTANCE = 10
+
+/*-
+Lets the user drag a drawer towards its screen edge.
+
+When released past the smallest snap point, the drawer is dismissed with a `:swipe` value.
+Otherwise the drawer springs back to the closest snap point.
+
+@class up.DrawerSwipe
+@internal
+*/
+up.DrawerSwipe = class DrawerSwipe {
+
+  constructor(drawer) {
+    this.drawer = drawer
+    this.box = drawer.getBoxElement()
+    this.vertical = drawer.isVertical()
+    // A positive offset moves the drawer towards the screen edge it is attached to.
+    this.edgeSign = u.contains(['left', 'top'], drawer.position) ? -1 : 1
+    this.snapPoints = this.parseSnapPoints(drawer.snapPoints)
+  }
+
+  // Snap points are the visible portions of the drawer, e.g. "50% 100%".
+  parseSnapPoints(value) {
+    let snapPoints = u.map(u.parseTokens(value ?? '100%'), (token) => parseFloat(token) / 100)
+    return snapPoints.length ? snapPoints : [1]
+  }
+
+  start() {
+    this.handle = this.drawer.handleElement || this.box
+
+    this.unbind = u.sequence([
+      up.on(this.handle, 'pointerdown', (event) => this.onPointerDown(event)),
+      up.on(window, 'resize', () => this.snapTo(this.snapPoint, { animate: false })),
+    ])
+
+    // The drawer opens at the first snap point.
+    this.snapTo(this.snapPoints[0], { animate: false })
+  }
+
+  stop() {
+    this.unbind()
+    this.endDrag()
+  }
+
+  getSize() {
+    return this.vertical ? this.box.offsetHeight : this.box.offsetWidth
+  }
+
+  distance(event, vertical) {
+    return vertical ? (event.clientY - this.startEvent.clientY) : (event.clientX - this.startEvent.clientX)
+  }
+
+  onPointerDown(event) {
+    // Only drag with the first finger or pen. A mouse drag selects text.
+    if (!event.isPrimary || event.button !== 0 || event.pointerType === 'mouse') return
+    if (this.handle === this.box && event.target.closest(INTERACTIVE_SELECTOR)) return
+
+    this.startEvent = event
+    this.startOffset = this.offset
+    this.dragging = false
+
+    this.unbindDrag = u.sequence([
+      up.on(document, 'pointermove', (event) => this.onPointerMove(event)),
+      up.on(document, 'pointerup', (event) => this.onPointerUp(event)),
+      up.on(document, 'pointercancel', () => this.onPointerCancel()),
+    ])
+  }
+
+  onPointerMove(event) {
+    if (event.pointerId !== this.startEvent.pointerId) return
+
+    let distance = this.distance(event, this.vertical)
+
+    if (!this.dragging) {
+      let crossDistance = this.distance(event, !this.vertical)
+      if (Math.max(Math.abs(distance), Math.abs(crossDistance)) < DRAG_START_DISTANCE) return
+
+      // A movement across our axis is scrolling or selecting text.
+      if (Math.abs(crossDistance) > Math.abs(distance)) {
+        this.endDrag()
+        return
+      }
+
+      this.dragging = true
+      // Follow the pointer without delay.
+      e.setStyle(this.box, { transition: 'none' })
+    }
+
+    event.preventDefault()
+    // The drawer cannot be dragged further away from its screen edge than its full size.
+    this.setOffset(Math.max(this.startOffset + distance * this.edgeSign, 0))
+  }
+
+  onPointerUp(event) {
+    if (event.pointerId !== this.startEvent.pointerId) return
+
+    let wasDragging = this.dragging
+    this.endDrag()
+    if (!wasDragging) return
+
+    // The browser will emit a click on the element where the drag ended.
+    // That click must not follow a link or dismiss the drawer as an outside click.
+    this.muteNextClick()
+
+    let visible = 1 - (this.offset / this.getSize())
+    let smallestSnapPoint = Math.min(...this.snapPoints)
+
+    if (visible < smallestSnapPoint - this.drawer.swipeThreshold && this.drawer.supportsDismissMethod('swipe')) {
+      this.dismiss()
+    } else {
+      this.snapTo(this.closestSnapPoint(visible))
+    }
+  }
+
+  onPointerCancel() {
+    let wasDragging = this.dragging
+    this.endDrag()
+    if (wasDragging) {
+      this.snapTo(this.snapPoint)
+    }
+  }
+
+  endDrag() {
+    this.unbindDrag?.()
+    this.unbindDrag = null
+    this.dragging = false
+  }
+
+  muteNextClick() {
+    let muteClick = (event) => up.event.halt(event)
+    document.addEventListener('click', muteClick, { capture: true, once: true })
+    u.task(() => document.removeEventListener('click', muteClick, { capture: true }))
+  }
+
+  closestSnapPoint(visible) {
+    let distances = u.map(this.snapPoints, (snapPoint) => Math.abs(snapPoint - visible))
+    return this.snapPoints[distances.indexOf(Math.min(...distances))]
+  }
+
+  dismiss() {
+    try {
+      this.drawer.dismiss(':swipe')
+    } catch (error) {
+      // A listener to up:layer:dismiss may have prevented the dismissal,
+      // or the user kept unsaved changes.
+      if (up.error.isCritical(error)) throw error
+    }
+
+    if (this.drawer.isOpen()) {
+      this.snapTo(Math.min(...this.snapPoints))
+    }
+  }
+
+  snapTo(snapPoint, { animate = true } = {}) {
+    this.snapPoint = snapPoint
+    let transition = (animate && up.motion.isEnabled()) ? 'translate 0.2s ease-out' : ''
+    e.setStyle(this.box, { transition })
+    this.setOffset((1 - snapPoint) * this.getSize())
+  }
+
+  setOffset(offset) {
+    this.offset = offset
+    let translation = `${offset * this.edgeSign}px`
+    // We use the translate property so we don't interfere with the
+    // transform of open and close animations.
+    e.setStyle(this.box, { translate: this.vertical ? `0 ${translation}` : `${translation} 0` })
+  }
+
+}
@@ -133,6 +133,13 @@ up.FieldWatcher = class FieldWatcher {
 
   check(event, fieldOptions) {
     const values = this.readFieldValues()
+
+    // The values of a restored draft become our starting point, without running the callback.
+    if (event.draftRestored) {
+      this.processedValues = values
+      return
+    }
+
     if (this.isNewValues(values)) {
       this.scheduleValues(values, event, fieldOptions)
     }
@@ -0,0 +1,118 @@
+const u = up.util
+
+// We don't store values that the user didn't enter (hidden), that must not
+// be persisted (password) or that cannot be serialized (file).
+const EXCLUDED_FIELDS = 'input[type=hidden], input[type=password], input[type=file], [up-autosave=false]'
+
+/*-
+Keeps a draft of a form's field values while the user is editing,
+and restores the draft when the form is compiled again.
+
+@class up.FormAutosave
+@internal
+*/
+up.FormAutosave = class FormAutosave {
+
+  constructor(form) {
+    this.form = form
+    this.key = this.buildKey()
+  }
+
+  // Drafts are keyed by the form's [up-id] and action. This way we also
+  // restore a draft when the form is rendered again on a different URL, e.g.
+  // after a failed submission.
+  buildKey() {
+    let id = this.form.getAttribute('up-id')
+    let action = u.normalizeURL(this.form.action, { hash: false })
+    return u.compact([id, action]).join(' ')
+  }
+
+  start() {
+    this.restore()
+
+    // We save all values with every change, so we don't need a diff.
+    this.unwatch = up.watch(this.form, { batch: true }, () => this.save())
+  }
+
+  stop() {
+    this.unwatch?.()
+  }
+
+  getFields() {
+    return u.reject(up.form.fields(this.form), (field) => field.matches(EXCLUDED_FIELDS))
+  }
+
+  readEntries() {
+    return up.Params.fromFields(this.getFields()).toArray()
+  }
+
+  save() {
+    up.form.draftStore().set(this.key, { entries: this.readEntries(), savedAt: Date.now() })
+  }
+
+  discard() {
+    up.form.draftStore().remove(this.key)
+  }
+
+  loadDraft() {
+    let draft = up.form.draftStore().get(this.key)
+    if (!draft) return
+
+    let expiry = up.form.config.autosaveExpiry
+    if (Date.now() - draft.savedAt > expiry) {
+      this.discard()
+      return
+    }
+
+    return draft
+  }
+
+  restore() {
+    let draft = this.loadDraft()
+
+    // Don't bother the user when the form already shows the draft values.
+    if (!draft || u.isEqual(draft.entries, this.readEntries())) return
+
+    let event = up.emit(this.form, 'up:form:draft:restore', {
+      params: new up.Params(draft.entries),
+      savedAt: new Date(draft.savedAt),
+      restore: () => this.applyEntries(draft.entries),
+      discard: () => this.discard(),
+      log: 'Restoring draft values',
+    })
+
+    if (!event.defaultPrevented) {
+      this.applyEntries(draft.entries)
+    }
+  }
+
+  applyEntries(entries) {
+    let params = new up.Params(entries)
+    // A name may be used by multiple fields, e.g. name="tags[]".
+    let indexes = {}
+
+    for (let field of this.getFields()) {
+      let values = params.getAll(field.name)
+      let oldValue = up.Params.fromFields(field).toQuery()
+
+      if (field.matches('input[type=checkbox], input[type=radio]')) {
+        field.checked = u.contains(values, field.value)
+      } else if (field.matches('select')) {
+        for (let option of field.options) {
+          option.selected = u.contains(values, option.value)
+        }
+      } else {
+        let index = indexes[field.name] ?? 0
+        indexes[field.name] = index + 1
+        field.value = values[index] ?? ''
+      }
+
+      // Let dependent behavior like [up-switch] or [up-dirty-guard] see the restored value.
+      // Watchers like [up-autosubmit] or [up-validate] ignore this event, since restoring a draft must not send it.
+      if (up.Params.fromFields(field).toQuery() !== oldValue) {
+        up.emit(field, 'change', { draftRestored: true, log: false })
+      }
+    }
+  }
+
+}
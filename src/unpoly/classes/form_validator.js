@@ -25,7 +25,11 @@ up.FormValidator = class FormValidator {
 
   watchField(field) {
     let { event } = this.originOptions(field)
-    up.on(field, event, () => up.error.muteUncriticalRejection(this.validate({ origin: field })))
+    up.on(field, event, (event) => {
+      // Restoring a draft must not send a request.
+      if (event.draftRestored) return
+      up.error.muteUncriticalRejection(this.validate({ origin: field }))
+    })
   }
 
   validate(options = {}) {
@@ -133,6 +137,14 @@ up.FormValidator = class FormValidator {
     let dirtySolutions = this.dirtySolutions // u.uniqBy(this.dirtySolutions, 'element')
     this.dirtySolutions = []
 
+    // Fields that fail the browser's constraint validation are not validated on the server.
+    dirtySolutions = u.filter(dirtySolutions, (solution) => this.isNativelyValid(solution))
+    if (!dirtySolutions.length) {
+      this.nextRenderPromise.reject(new up.AbortError('Fields did not pass native validation'))
+      this.resetNextRenderPromise()
+      return
+    }
+
     // Dirty fields are the fields that triggered the validation, not the fields contained
     // by the solution elements. This is not the same thing in a scenario like this:
     //
@@ -219,6 +231,11 @@ up.FormValidator = class FormValidator {
     }
   }
 
+  isNativelyValid({ origin, renderOptions }) {
+    if (!this.form || !up.form.isNativeValidation(this.form, renderOptions)) return true
+    return up.form.checkValidity(origin)
+  }
+
   static forElement(element) {
     let form = up.form.get(element)
     return form.upFormValidator ||= new this(form)
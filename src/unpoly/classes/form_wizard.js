@@ -0,0 +1,155 @@
+const u = up.util
+const e = up.element
+
+/*-
+Shows the steps of an [`[up-wizard]`](/up-wizard) one at a time.
+
+All steps remain in the form while hidden, so the values of every step
+are submitted together with the last step.
+
+@class up.FormWizard
+@internal
+*/
+up.FormWizard = class FormWizard {
+
+  constructor(container) {
+    this.container = container
+    this.form = up.form.get(container)
+    this.layer = up.layer.get(container)
+  }
+
+  start() {
+    this.container.upFormWizard = this
+
+    let layerLocation = this.layer.location
+    this.pageLocation = layerLocation && u.normalizeURL(layerLocation, { hash: false })
+
+    // When a form is rendered again after a failed submission, the URL still
+    // points to the step that the user was seeing.
+    let hash = layerLocation && u.parseURL(layerLocation).hash
+    this.initialIndex = Math.max(this.indexForHash(hash), 0)
+    this.reachedIndex = this.initialIndex
+    this.showStep(this.initialIndex, { history: false })
+
+    this.unbind = u.sequence([
+      up.on(this.container, 'click', '[up-wizard-next]', (event) => {
+        up.event.halt(event)
+        up.error.muteUncriticalRejection(this.next())
+      }),
+      up.on(this.container, 'click', '[up-wizard-back]', (event) => {
+        up.event.halt(event)
+        this.back()
+      }),
+      // Changing a value in an earlier step means that later steps must be validated again.
+      up.on(this.container, 'change', () => { this.reachedIndex = this.index }),
+      up.on(this.form, 'up:form:invalid', (event) => this.revealField(event.fields[0])),
+    ])
+  }
+
+  stop() {
+    this.unbind?.()
+  }
+
+  // Every top-level <fieldset> is a step. Fieldsets within a step only group fields.
+  getSteps() {
+    let fieldsets = this.container.querySelectorAll('fieldset')
+    return u.filter(fieldsets, (fieldset) => fieldset.parentElement.closest('fieldset, [up-wizard]') === this.container)
+  }
+
+  getCurrentStep() {
+    return this.getSteps()[this.index]
+  }
+
+  indexForHash(hash) {
+    let id = hash?.substring(1)
+    if (!id) return -1
+    return this.getSteps().findIndex((step) => step.id === id)
+  }
+
+  showStep(index, { history = true } = {}) {
+    let steps = this.getSteps()
+    let step = steps[index] || up.fail('Wizard has no step #%d', index)
+
+    this.index = index
+    this.reachedIndex = Math.max(this.reachedIndex, index)
+    steps.forEach((otherStep, otherIndex) => e.toggle(otherStep, otherIndex === index))
+
+    if (history) {
+      this.pushStep(step)
+    }
+
+    up.emit(step, 'up:form:wizard:step', { index, log: ['Showing wizard step %o', step] })
+  }
+
+  async next() {
+    // When the user clicks twice while validating, we still only advance by a single step.
+    let index = this.index
+    let step = this.getCurrentStep()
+    if (index >= this.getSteps().length - 1) return
+
+    if (this.isValidating(step)) {
+      // The server only validates the fields of the current step and re-renders the step.
+      // If the server responds with an error status, the promise rejects and we stay on this step.
+      await up.validate(step, { target: this.getStepTarget(step) })
+    } else if (up.form.isNativeValidation(this.form) && !up.form.checkValidity(step, { focus: true })) {
+      return
+    }
+
+    this.showStep(index + 1)
+  }
+
+  back() {
+    if (this.index > 0) {
+      this.showStep(this.index - 1)
+    }
+  }
+
+  isValidating(step) {
+    let elementWithAttr = step.closest('[up-wizard-validate]')
+    return !elementWithAttr || e.booleanAttr(elementWithAttr, 'up-wizard-validate') !== false
+  }
+
+  // A step without a good target is identified through one of its fields, like a form group.
+  getStepTarget(step) {
+    return up.fragment.tryToTarget(step)
+      || u.findResult(up.form.fields(step), (field) => {
+        let solution = up.form.groupSolution(field)
+        if (solution?.element === step) return solution.target
+      })
+      || up.fail('Cannot derive a target for wizard step %o', step)
+  }
+
+  revealField(field) {
+    let index = this.getSteps().findIndex((step) => step.contains(field))
+    if (index >= 0 && index !== this.index) {
+      this.showStep(index)
+    }
+  }
+
+  pushStep(step) {
+    if (step.id && this.pageLocation && this.layer.showsLiveHistory()) {
+      this.layer.location = this.pageLocation + '#' + step.id
+    }
+  }
+
+  // Returns whether the given location was restored by showing one of our steps.
+  restoreLocation(location) {
+    if (!this.pageLocation || !this.layer.showsLiveHistory()) return false
+    if (u.normalizeURL(location, { hash: false }) !== this.pageLocation) return false
+
+    let hash = u.parseURL(location).hash
+    let index = hash ? this.indexForHash(hash) : this.initialIndex
+    if (index < 0) return false
+
+    if (index > this.reachedIndex) {
+      // Going forward in history must not skip the validation of the current step.
+      // We return to the current step's history entry, keeping the entries of later steps.
+      up.history.undoPop()
+    } else {
+      this.showStep(index, { history: false })
+    }
+
+    return true
+  }
+
+}
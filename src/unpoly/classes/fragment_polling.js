@@ -1,3 +1,4 @@
+const u = up.util
 const e = up.element
 
 up.FragmentPolling = class FragmentPolling {
@@ -7,6 +8,9 @@ up.FragmentPolling = class FragmentPolling {
     this.state = 'initialized'
     this.setFragment(fragment)
     this.abortable = true
+    // A multiplier for the polling interval that grows while the server
+    // has no new content for us.
+    this.backoff = 1
   }
 
   static forFragment(fragment) {
@@ -66,8 +70,9 @@ up.FragmentPolling = class FragmentPolling {
     let issue = up.radio.pollIssue(this.fragment)
     if (issue) {
       up.puts('[up-poll]', `Will not poll: ${issue}`)
-      // Reconsider after 10 seconds at most
-      let reconsiderDisabledDelay = Math.min(10 * 1000, this.getInterval())
+      // Reconsider after 10 seconds at most.
+      // We don't use getInterval(), which would consume an interval requested by the server.
+      let reconsiderDisabledDelay = Math.min(10 * 1000, this.getBaseInterval())
       this.scheduleReload(reconsiderDisabledDelay)
     } else {
       this.reloadNow()
@@ -79,6 +84,7 @@ up.FragmentPolling = class FragmentPolling {
       url: this.options.url,
       fail: false,
       background: true,
+      onLoaded: ({ response }) => this.onReloadLoaded(response),
     }
 
     // Prevent our own reloading from aborting ourselves.
@@ -91,11 +97,19 @@ up.FragmentPolling = class FragmentPolling {
     this.abortable = oldAbortable
   }
 
+  onReloadLoaded(response) {
+    // The server may set the next interval with an X-Up-Poll-Interval header.
+    this.serverInterval = response.pollInterval
+  }
+
   onReloadSuccess(result) {
     // Transfer this instance to the new fragment.
     // We can remove this in case we don't implement forced start/stop.
     let newFragment = result.fragments[0]
     if (newFragment) {
+      // The content has changed, so we poll at the regular interval again.
+      this.backoff = 1
+
       // No need to scheduleReload() in this branch:
       // (1) Either the new fragment also has an [up-poll] and we have already
       //     started in #onPollAttributeObserved().
@@ -103,12 +117,14 @@ up.FragmentPolling = class FragmentPolling {
       this.onFragmentSwapped(newFragment)
     } else {
       // The server may have opted to not send an update, e.g. if there is no fresher content.
-      // In that case we try again in the next interval.
+      // In that case we try again after a longer interval.
+      this.increaseBackoff()
       this.scheduleReload()
     }
   }
 
   onReloadFailure(reason) {
+    this.increaseBackoff()
     this.scheduleReload()
 
     if (up.error.isCritical(reason)) {
@@ -119,8 +135,27 @@ up.FragmentPolling = class FragmentPolling {
   onFragmentSwapped(newFragment) {
     this.stop()
 
-    if (this.forceStarted && up.fragment.matches(this.fragment, newFragment)) {
-      this.constructor.forFragment(newFragment).forceStart(this.options)
+    if (up.fragment.matches(this.fragment, newFragment)) {
+      let newPolling = this.constructor.forFragment(newFragment)
+
+      if (this.forceStarted) {
+        newPolling.forceStart(this.options)
+      }
+
+      // The new fragment has already scheduled its first reload
+      // before we could pass on the interval requested by the server.
+      if (u.isDefined(this.serverInterval)) {
+        newPolling.reschedule(this.serverInterval)
+      }
+    }
+  }
+
+  reschedule(serverInterval) {
+    this.serverInterval = serverInterval
+
+    if (this.state === 'started') {
+      clearTimeout(this.reloadTimer)
+      this.scheduleReload()
     }
   }
 
@@ -132,8 +167,41 @@ up.FragmentPolling = class FragmentPolling {
 
 
   getInterval() {
+    let interval
+
+    if (u.isDefined(this.serverInterval)) {
+      // The server's interval is only used for the next reload.
+      interval = this.serverInterval
+      this.serverInterval = undefined
+    } else {
+      interval = this.getBaseInterval() * this.backoff
+    }
+
+    interval = this.addJitter(interval)
+    return this.clampInterval(interval)
+  }
+
+  getBaseInterval() {
     let interval = this.options.interval ?? e.numberAttr(this.fragment, 'up-interval') ?? up.radio.config.pollInterval
     return up.radio.config.pollIntervalScale(interval)
   }
 
+  increaseBackoff() {
+    let { pollBackoff, pollMaxBackoff } = up.radio.config
+    this.backoff = Math.min(this.backoff * pollBackoff, pollMaxBackoff)
+  }
+
+  // Randomizes the interval by up to config.pollJitter, so multiple tabs
+  // polling the same fragment don't all hit the server at the same time.
+  addJitter(interval) {
+    let jitter = up.radio.config.pollJitter
+    return interval * (1 + jitter * (2 * Math.random() - 1))
+  }
+
+  clampInterval(interval) {
+    let minInterval = this.options.minInterval ?? e.numberAttr(this.fragment, 'up-min-interval') ?? 0
+    let maxInterval = this.options.maxInterval ?? e.numberAttr(this.fragment, 'up-max-interval') ?? Infinity
+    return Math.min(Math.max(interval, minInterval), maxInterval)
+  }
+
 }
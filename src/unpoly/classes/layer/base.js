@@ -255,6 +255,20 @@ up.Layer = class Layer extends up.Record {
     return this.stack.isOverlay(this)
   }
 
+  /*-
+  Returns whether this layer floats above the other layers without blocking them.
+
+  A floating layer like a [toast](/toasts) is not closed when another overlay opens.
+  It never becomes the [frontmost layer](/up.layer.front) and does not take the focus.
+
+  @function up.Layer#isFloating
+  @return {boolean}
+  @experimental
+  */
+  isFloating() {
+    return false
+  }
+
   /*-
   Returns whether this layer is still part of the [layer stack](/up.layer.stack).
 
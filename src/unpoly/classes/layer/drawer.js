@@ -1,3 +1,46 @@
 up.Layer.Drawer = class Drawer extends up.Layer.OverlayWithViewport {
   static mode = 'drawer'
+
+  keys() {
+    return super.keys().concat([
+      'snapPoints',
+      'swipeThreshold',
+    ])
+  }
+
+  createElements(content) {
+    super.createElements(content)
+
+    // Dragging the box of a top or bottom drawer would scroll its content,
+    // so these drawers are dragged by a handle.
+    if (this.isSwipeable() && this.isVertical()) {
+      this.handleElement = this.affixPart(this.boxElement, 'handle', { 'aria-hidden': 'true' })
+      if (this.position === 'bottom') {
+        this.boxElement.prepend(this.handleElement)
+      }
+    }
+  }
+
+  setupHandlers() {
+    super.setupHandlers()
+
+    if (this.isSwipeable()) {
+      this.swipe = new up.DrawerSwipe(this)
+      this.swipe.start()
+    }
+  }
+
+  teardownHandlers() {
+    super.teardownHandlers()
+    this.swipe?.stop()
+  }
+
+  isVertical() {
+    return this.position === 'top' || this.position === 'bottom'
+  }
+
+  // A drawer with multiple snap points can be dragged, even if it cannot be dismissed by swiping.
+  isSwipeable() {
+    return this.supportsDismissMethod('swipe') || up.util.parseTokens(this.snapPoints).length > 1
+  }
 }
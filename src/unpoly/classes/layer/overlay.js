@@ -44,14 +44,34 @@ up.Layer.Overlay = class Overlay extends up.Layer {
   @stable
   */
 
+  /*-
+  How this popup overlay avoids overflowing the viewport.
+
+  Returns a string like `'auto'` or `'flip size'`.
+
+  @property up.Layer#collision
+  @param {string} collision
+  @experimental
+  */
+
+  /*-
+  Whether this overlay is rendered within a native `<dialog>` element.
+
+  @property up.Layer#dialog
+  @param {boolean} dialog
+  @experimental
+  */
+
   keys() {
     return super.keys().concat([
       'position',
       'align',
+      'collision',
       'size',
       'origin', // for tethered anchor element
       'class',
       'backdrop',
+      'dialog',
       'openAnimation',
       'closeAnimation',
       'openDuration',
@@ -198,7 +218,8 @@ up.Layer.Overlay = class Overlay extends up.Layer {
       }
     }
 
-    if (this.supportsDismissMethod('key')) {
+    // A native <dialog> reports the Escape key as a `cancel` event.
+    if (this.supportsDismissMethod('key') && !this.dialogElement) {
       this.unbindEscapePressed = up.event.onEscape(event => this.onEscapePressed(event))
     }
 
@@ -344,12 +365,29 @@ up.Layer.Overlay = class Overlay extends up.Layer {
   onElementsRemoved() {}
     // optional callback
 
+  /*-
+  Returns the native `<dialog>` of the topmost other overlay that was opened with `{ dialog: true }`.
+
+  While such a dialog is open, the browser makes all content outside of it inert
+  and renders it below the [top layer](https://developer.mozilla.org/en-US/docs/Glossary/Top_layer).
+  Overlays shown above a dialog overlay must be attached within its `<dialog>` to remain usable.
+
+  @function up.Layer.Overlay#getModalDialogElement
+  @return {Element|undefined}
+  @internal
+  */
+  getModalDialogElement() {
+    let dialogLayer = u.find(this.stack.reversed(), (layer) => layer !== this && layer.dialogElement?.open)
+    return dialogLayer?.dialogElement
+  }
+
   startAnimation(options = {}) {
     const boxDone = up.animate(this.getBoxElement(), options.boxAnimation, options)
 
     // If we don't animate the box, we don't animate the backdrop
     let backdropDone
-    if (this.backdrop && !up.motion.isNone(options.boxAnimation)) {
+    // A <dialog>'s ::backdrop cannot be animated.
+    if (this.backdropElement && !up.motion.isNone(options.boxAnimation)) {
       backdropDone = up.animate(this.backdropElement, options.backdropAnimation, options)
     }
 
@@ -10,7 +10,14 @@ up.Layer.OverlayWithTether = class OverlayWithTether extends up.Layer.Overlay {
     this.tether = new up.Tether({
       anchor: this.origin,
       align: this.align,
-      position: this.position
+      position: this.position,
+      collision: this.collision,
+      // When the popup flips to the opposite side of its anchor, we update the [position] attribute
+      // so CSS can follow, e.g. to draw an arrow pointing to the anchor.
+      onPositionChanged: (position) => {
+        this.position = position
+        this.element.setAttribute('position', position)
+      }
     })
     this.createElement(this.tether.parent)
     this.createContentElement(this.element, content)
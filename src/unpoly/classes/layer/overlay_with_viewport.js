@@ -9,6 +9,11 @@ up.Layer.OverlayWithViewport = class OverlayWithViewport extends up.Layer.Overla
     return document.body
   }
 
+  getParentElement() {
+    // An open <dialog> makes everything outside of it inert, so we attach ourselves within it.
+    return this.getModalDialogElement() || this.constructor.getParentElement()
+  }
+
   /*-
   @function up.Layer.OverlayWithViewport#openNow
   @param {Element} options.content
@@ -16,17 +21,73 @@ up.Layer.OverlayWithViewport = class OverlayWithViewport extends up.Layer.Overla
   */
   createElements(content) {
     this.shiftBody()
-    this.createElement(this.constructor.getParentElement())
-    if (this.backdrop) { this.createBackdropElement(this.element); }
+    let parentElement = this.getParentElement()
+
+    if (this.dialog) {
+      // Our elements are placed into a native <dialog> in the browser's top layer.
+      // The browser draws the backdrop as a ::backdrop pseudo-element.
+      this.dialogElement = up.element.affix(parentElement, 'dialog[up-overlay-dialog]', { backdrop: this.backdrop ? '' : null })
+      this.createElement(this.dialogElement)
+    } else {
+      this.createElement(parentElement)
+      if (this.backdrop) { this.createBackdropElement(this.element); }
+    }
+
     this.createViewportElement(this.element)
     this.createBoxElement(this.viewportElement)
     this.createContentElement(this.boxElement, content)
+
+    if (this.dialogElement) {
+      // Make everything outside the dialog inert.
+      this.dialogElement.showModal()
+      this.syncFloatingLayers()
+    }
+  }
+
+  setupHandlers() {
+    super.setupHandlers()
+
+    if (this.dialogElement) {
+      this.unbindDialogEvents = up.util.sequence([
+        up.on(this.dialogElement, 'cancel', (event) => this.onDialogCancel(event)),
+        // The browser may also close the <dialog> without a cancelable event.
+        // In that case we show it again, since only Unpoly may close the layer.
+        up.on(this.dialogElement, 'close', () => this.sync()),
+      ])
+    }
+  }
+
+  teardownHandlers() {
+    super.teardownHandlers()
+    this.unbindDialogEvents?.()
+  }
+
+  onDialogCancel(event) {
+    // The browser wants to close the <dialog>, e.g. when the user presses Escape.
+    // We close the layer ourselves so callbacks, animations and history work as usual.
+    event.preventDefault()
+    this.onEscapePressed(event)
   }
 
   onElementsRemoved() {
+    if (this.dialogElement) {
+      this.dialogElement.close()
+      this.dialogElement.remove()
+
+      this.syncFloatingLayers()
+    }
+
     this.unshiftBody()
   }
 
+  syncFloatingLayers() {
+    // Floating layers like toasts are attached within the topmost open <dialog>.
+    // They outlive our dialog, so they must move when it opens or closes.
+    for (let layer of this.stack) {
+      if (layer.isFloating()) layer.sync()
+    }
+  }
+
   shiftBody() {
     this.constructor.bodyShifter.shift()
   }
@@ -42,8 +103,15 @@ up.Layer.OverlayWithViewport = class OverlayWithViewport extends up.Layer.Overla
     // We also check #isOpen() in case some async code calls #sync() on a layer
     // that was already closed. In that case don't run the code below that might
     // re-attach the overlay.
-    if (this.isDetached() && this.isOpen()) {
-      this.constructor.getParentElement().appendChild(this.element)
+    if (this.isOpen()) {
+      if (this.isDetached()) {
+        this.getParentElement().appendChild(this.dialogElement || this.element)
+      }
+
+      // A <dialog> leaves the top layer when it is detached or closed by the browser.
+      if (this.dialogElement && !this.dialogElement.open) {
+        this.dialogElement.showModal()
+      }
     }
   }
 }
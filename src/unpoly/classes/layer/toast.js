@@ -0,0 +1,119 @@
+const u = up.util
+const e = up.element
+
+up.Layer.Toast = class Toast extends up.Layer.Overlay {
+
+  static mode = 'toast'
+
+  // For stubbing in tests
+  static getParentElement() {
+    // Always make a fresh lookup of the <body>, since the <body>
+    // might be swapped out with a new element.
+    return document.body
+  }
+
+  constructor(options) {
+    super(options)
+    // Toasts are notifications, not pages the user could navigate back to.
+    this.history = false
+  }
+
+  keys() {
+    return super.keys().concat([
+      'dismissDelay',
+      'limit',
+    ])
+  }
+
+  isFloating() {
+    return true
+  }
+
+  getParentElement() {
+    // An open <dialog> makes everything outside of it inert, so we attach ourselves within it.
+    return this.getModalDialogElement() || this.constructor.getParentElement()
+  }
+
+  createElements(content) {
+    this.dismissExcessToasts()
+    this.containerElement = this.getContainer()
+    this.createElement(this.containerElement)
+    // Screen readers announce new toasts without moving the focus.
+    e.setAttrs(this.element, { role: 'status', 'aria-live': 'polite' })
+    this.createContentElement(this.element, content)
+  }
+
+  // All toasts in the same corner share a container that stacks them.
+  getContainer() {
+    let attrs = { position: this.position, align: this.align }
+    let selector = 'up-toasts' + e.attrSelector('position', attrs.position) + e.attrSelector('align', attrs.align)
+    let parentElement = this.getParentElement()
+    return parentElement.querySelector(':scope > ' + selector) || e.affix(parentElement, 'up-toasts', attrs)
+  }
+
+  // When a new toast would exceed the { limit }, we dismiss the oldest toasts.
+  dismissExcessToasts() {
+    if (!this.limit) return
+
+    let otherToasts = u.filter(this.stack, (layer) => layer instanceof up.Layer.Toast && layer !== this)
+    let excessCount = otherToasts.length - this.limit + 1
+    for (let toast of otherToasts.slice(0, Math.max(excessCount, 0))) {
+      toast.dismiss(':limit', { preventable: false })
+    }
+  }
+
+  setupHandlers() {
+    super.setupHandlers()
+
+    if (this.dismissDelay) {
+      this.remainingDelay = this.dismissDelay
+      this.resumeTimer()
+
+      // Give the user time to read (or click) a toast they're hovering over.
+      this.unbindHover = u.sequence([
+        up.on(this.element, 'mouseenter', () => this.pauseTimer()),
+        up.on(this.element, 'mouseleave', () => this.resumeTimer()),
+      ])
+    }
+  }
+
+  teardownHandlers() {
+    super.teardownHandlers()
+    this.unbindHover?.()
+    clearTimeout(this.dismissTimer)
+  }
+
+  pauseTimer() {
+    clearTimeout(this.dismissTimer)
+    this.remainingDelay -= (new Date() - this.timerStartedAt)
+  }
+
+  resumeTimer() {
+    this.timerStartedAt = new Date()
+    this.dismissTimer = setTimeout(() => this.dismiss(':timeout'), this.remainingDelay)
+  }
+
+  onElementsRemoved() {
+    if (!this.containerElement.children.length) {
+      this.containerElement.remove()
+    }
+  }
+
+  sync() {
+    // A swapping of <body> might have removed our container from the DOM, so we
+    // attach it again. We also move into a <dialog> that was opened or closed after us.
+    //
+    // We also check #isOpen() in case some async code calls #sync() on a layer
+    // that was already closed.
+    if (this.isOpen() && (this.isDetached() || this.containerElement.parentElement !== this.getParentElement())) {
+      let oldContainerElement = this.containerElement
+      this.containerElement = this.getContainer()
+      this.containerElement.appendChild(this.element)
+
+      if (!oldContainerElement.children.length) {
+        oldContainerElement.remove()
+      }
+    }
+  }
+
+}
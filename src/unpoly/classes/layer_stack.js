@@ -23,6 +23,15 @@ up.LayerStack = class LayerStack extends Array {
     return up.layer.build({ mode: 'root', stack: this })
   }
 
+  add(layer) {
+    if (layer.isFloating()) {
+      this.push(layer)
+    } else {
+      // Floating layers like toasts always stay in front of other layers.
+      this.splice(this.front.index + 1, 0, layer)
+    }
+  }
+
   remove(layer) {
     u.remove(this, layer)
   }
@@ -30,7 +39,8 @@ up.LayerStack = class LayerStack extends Array {
   peel(layer, options) {
     // We will dismiss descendants closer to the front first to prevent
     // recursive calls of peel().
-    const descendants = u.reverse(layer.descendants)
+    // Floating layers like toasts don't belong to the layer they were opened from.
+    const descendants = u.reverse(u.reject(layer.descendants, (descendant) => descendant.isFloating()))
 
     // Callers expect the effects of peel() to manipulate the layer stack sync.
     // Because of this we will dismiss alle descendants sync rather than waiting
@@ -43,7 +53,9 @@ up.LayerStack = class LayerStack extends Array {
   }
 
   reset() {
-    this.peel(this.root, {animation: false})
+    for (let overlay of u.reverse(this.overlays)) {
+      overlay.dismiss(':peel', { animation: false, preventable: false })
+    }
     this.currentOverrides = []
     this.root.reset()
   }
@@ -152,7 +164,7 @@ up.LayerStack = class LayerStack extends Array {
   }
 
   get front() {
-    return u.last(this)
+    return u.find(this.reversed(), (layer) => !layer.isFloating())
   }
 
 }
@@ -51,7 +51,8 @@ up.OverlayFocus = class OverlayFocus {
 
     // (1) Ignore focus events triggered by this method.
     // (2) Ignore focus events within overlays by other libraries.
-    if (this.processingFocusEvent || up.layer.isWithinForeignOverlay(target)) {
+    // (3) Ignore focus events within floating layers like toasts, which the user may use at any time.
+    if (this.processingFocusEvent || up.layer.isWithinForeignOverlay(target) || up.layer.get(target)?.isFloating()) {
       return
     }
 
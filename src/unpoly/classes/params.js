@@ -90,6 +90,94 @@ up.Params = class Params {
     return obj
   }
 
+  /*-
+  Returns a nested object representation of this `up.Params` instance.
+
+  Param names in bracket notation are expanded into nested objects and arrays,
+  following the conventions of [Rack](https://github.com/rack/rack) and Ruby on Rails:
+
+  - A name like `user[address][city]` creates nested objects.
+  - A name ending in `[]` like `tags[]` creates an array.
+  - A name like `items[][name]` creates an array of objects.
+    A new object is started when the previous object already has a value for that key.
+
+  ### Example
+
+      var params = new up.Params('user[name]=Alice&user[address][city]=Berlin&tags[]=a&tags[]=b')
+      var object = params.toNestedObject()
+
+      // object is now: {
+      //   user: {
+      //     name: 'Alice',
+      //     address: { city: 'Berlin' }
+      //   },
+      //   tags: ['a', 'b']
+      // }
+
+  @function up.Params#toNestedObject
+  @return {Object}
+  @experimental
+  */
+  toNestedObject() {
+    const obj = {}
+    for (let { name, value } of this.entries) {
+      const keys = this.parseNestedName(name)
+      // Don't allow params to change the prototype of the resulting objects.
+      if (!u.some(keys, u.isBasicObjectProperty)) {
+        this.setNestedValue(obj, keys, value)
+      }
+    }
+    return obj
+  }
+
+  // Splits a name like "user[address][city]" into ["user", "address", "city"].
+  // An array key like "tags[]" becomes ["tags", ""].
+  parseNestedName(name) {
+    const match = name.match(/^([^[\]]+)((?:\[[^[\]]*\])*)$/)
+    if (!match) return [name]
+
+    const keys = [match[1]]
+    for (let [_, key] of match[2].matchAll(/\[([^[\]]*)\]/g)) {
+      keys.push(key)
+    }
+    return keys
+  }
+
+  setNestedValue(obj, [key, ...rest], value) {
+    if (rest.length === 0) {
+      obj[key] = value
+    } else if (rest[0] === '') {
+      const array = obj[key] = u.isArray(obj[key]) ? obj[key] : []
+      const childKeys = rest.slice(1)
+
+      if (childKeys.length === 0) {
+        array.push(value)
+      } else {
+        let child = u.last(array)
+        // Like Rack we start a new object when the previous object already has this key.
+        if (!u.isOptions(child) || this.hasNestedValue(child, childKeys)) {
+          child = {}
+          array.push(child)
+        }
+        this.setNestedValue(child, childKeys, value)
+      }
+    } else {
+      const child = obj[key] = u.isOptions(obj[key]) ? obj[key] : {}
+      this.setNestedValue(child, rest, value)
+    }
+  }
+
+  hasNestedValue(obj, keys) {
+    // Like Rack we keep adding to the same object for nested arrays like "items[][tags][]".
+    if (u.contains(keys, '')) return false
+
+    for (let key of keys) {
+      if (!u.isOptions(obj) || !(key in obj)) return false
+      obj = obj[key]
+    }
+    return true
+  }
+
   /*-
   Returns an array representation of this `up.Params` instance.
 
@@ -433,6 +521,47 @@ up.Params = class Params {
     return this.entries.length === 0
   }
 
+  /*-
+  Constructs a new `up.Params` instance from a nested object.
+
+  Nested objects and arrays are flattened into param names in bracket notation.
+  This is the reverse of `up.Params#toNestedObject()`.
+
+  ### Example
+
+      var params = up.Params.fromNestedObject({
+        user: { name: 'Alice', address: { city: 'Berlin' } },
+        tags: ['a', 'b']
+      })
+
+      params.toQuery()
+      // 'user%5Bname%5D=Alice&user%5Baddress%5D%5Bcity%5D=Berlin&tags%5B%5D=a&tags%5B%5D=b'
+
+  @function up.Params.fromNestedObject
+  @param {Object} object
+  @return {up.Params}
+  @experimental
+  */
+  static fromNestedObject(object) {
+    const params = new (this)()
+    params.addAllFromNestedValue(object)
+    return params
+  }
+
+  addAllFromNestedValue(value, name) {
+    if (u.isArray(value)) {
+      for (let element of value) {
+        this.addAllFromNestedValue(element, `${name}[]`)
+      }
+    } else if (u.isOptions(value)) {
+      for (let key in value) {
+        this.addAllFromNestedValue(value[key], name ? `${name}[${key}]` : key)
+      }
+    } else if (u.isDefined(value)) {
+      this.add(name, value)
+    }
+  }
+
   /*-
   Constructs a new `up.Params` instance from the given `<form>`.
 
@@ -449,7 +578,7 @@ up.Params = class Params {
   - An `<select>` will only be added if at least one value is `[checked]`.
   - If passed a `<select multiple>` or `<input type="file" multiple>`, all selected values are added.
     If passed a `<select multiple>`, all selected values are added.
-  - Fields that are `[disabled]` are ignored
+  - Fields that are `[disabled]` or within a `<fieldset disabled>` are ignored
   - Fields without a `[name]` attribute are ignored.
 
   ### Example
@@ -520,9 +649,9 @@ up.Params = class Params {
     field = e.get(field); // unwrap jQuery
 
     // Input fields are excluded from form submissions if they have no [name]
-    // or when they are [disabled].
+    // or when they are disabled. A field is also disabled within a <fieldset disabled>.
     let name = field.name
-    if (name && !field.disabled) {
+    if (name && !field.matches(':disabled')) {
       const { tagName } = field
       const { type } = field
       if (tagName === 'SELECT') {
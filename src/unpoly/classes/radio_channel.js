@@ -0,0 +1,175 @@
+const u = up.util
+const e = up.element
+
+/*-
+A connection to a server endpoint that pushes fragment updates.
+
+Channels are opened with `up.radio.subscribe()` or the `[up-stream]` attribute.
+
+@class up.RadioChannel
+@internal
+*/
+up.RadioChannel = class RadioChannel {
+
+  constructor(url, options = {}) {
+    this.url = url
+    this.options = options
+    // The elements that subscribed to this channel.
+    this.origins = []
+    this.transport = options.transport ?? u.evalOption(up.radio.config.streamTransport, url)
+    this.reconnectAttempt = 0
+    this.state = 'initialized'
+    this.onVisibilityChange = this.onVisibilityChange.bind(this)
+  }
+
+  start() {
+    if (this.state !== 'initialized') return
+    this.state = 'started'
+    document.addEventListener('visibilitychange', this.onVisibilityChange)
+    this.connect()
+  }
+
+  stop() {
+    if (this.state !== 'started') return
+    this.state = 'stopped'
+    document.removeEventListener('visibilitychange', this.onVisibilityChange)
+    this.disconnect()
+  }
+
+  connect() {
+    if (this.state !== 'started' || this.connection) return
+
+    if (this.isPaused()) {
+      up.puts('[up-stream]', 'Will not connect to %s: Tab is hidden', this.url)
+      return
+    }
+
+    let connection = this.connection = this.buildConnection()
+
+    // A closed connection may still call its handlers, e.g. a WebSocket
+    // calls onclose after we have closed it. We ignore these calls.
+    let ifCurrent = (fn) => (...args) => { if (connection === this.connection) fn(...args) }
+    connection.onopen = ifCurrent(() => this.onOpen())
+    connection.onmessage = ifCurrent((event) => this.onMessage(event.data))
+    connection.onerror = ifCurrent(() => this.onError())
+    // Only a WebSocket has a close event. We reconnect when the server closes the connection.
+    connection.onclose = ifCurrent(() => this.onError())
+  }
+
+  buildConnection() {
+    let adapter = up.radio.config.streamAdapters[this.transport] || up.fail('Unknown { transport } option: %o', this.transport)
+    return adapter(this.url, this.options)
+  }
+
+  disconnect() {
+    clearTimeout(this.reconnectTimer)
+    this.connection?.close()
+    this.connection = null
+  }
+
+  isPaused() {
+    return document.hidden && u.evalOption(up.radio.config.pauseHiddenStreams, this.url)
+  }
+
+  onVisibilityChange() {
+    if (this.isPaused()) {
+      // Don't keep a connection open for a tab that nobody is looking at.
+      this.disconnect()
+    } else {
+      this.connect()
+    }
+  }
+
+  onOpen() {
+    this.reconnectAttempt = 0
+  }
+
+  onError() {
+    // An EventSource would reconnect by itself after a network error, but
+    // not after an HTTP error status. Also it would not back off.
+    // Hence we always close the connection and reconnect ourselves.
+    this.disconnect()
+
+    if (this.state !== 'started') return
+
+    this.reconnectAttempt++
+    let delay = u.evalOption(up.radio.config.streamReconnectDelay, this.reconnectAttempt)
+    up.puts('[up-stream]', 'Lost connection to %s. Reconnecting in %d ms.', this.url, delay)
+    this.reconnectTimer = u.timer(delay, () => this.connect())
+  }
+
+  onMessage(data) {
+    let origin = this.findOrigin()
+
+    // Pushed updates follow the same rules as polling, e.g. we don't update
+    // fragments on a background layer.
+    let issue = (this.origins.length && !origin) ? 'No subscriber is attached' : up.radio.pushIssue(origin)
+    if (issue) {
+      up.puts('[up-stream]', `Ignoring message from ${this.url}: ${issue}`)
+      return
+    }
+
+    let message = this.parseMessage(data)
+    if (!message) return
+
+    let eventProps = { url: this.url, message, log: ['Received message from %s', this.url] }
+    let event = origin ? up.emit(origin, 'up:radio:message', eventProps) : up.emit('up:radio:message', eventProps)
+    if (event.defaultPrevented) return
+
+    this.applyMessage(message, origin)
+  }
+
+  // Multiple elements may subscribe to the same channel, and any of them may be removed first.
+  // We prefer an attached subscriber that may be updated, e.g. one on the front layer.
+  findOrigin() {
+    let attachedOrigins = u.filter(this.origins, e.isAttached)
+    return u.find(attachedOrigins, (origin) => !up.radio.pushIssue(origin)) || attachedOrigins[0]
+  }
+
+  // A message is either a string of HTML, or a JSON object with the same
+  // directives that the server can send as X-Up-* response headers.
+  parseMessage(data) {
+    if (/^\s*\{/.test(data)) {
+      try {
+        return JSON.parse(data)
+      } catch (error) {
+        // A single malformed message should not break the stream.
+        up.warn('[up-stream]', 'Ignoring malformed message from %s: %o', this.url, error)
+      }
+    } else {
+      return { html: data }
+    }
+  }
+
+  applyMessage(message, origin) {
+    if (u.isDefined(message.clearCache)) {
+      up.network.cache.clear(message.clearCache)
+    }
+
+    let { layer, target } = this.options
+    target = message.target ?? target
+
+    let renderOptions = {
+      origin,
+      layer: origin ? up.layer.get(origin) : layer,
+      history: false,
+      eventPlans: message.events,
+      acceptLayer: message.acceptLayer,
+      dismissLayer: message.dismissLayer,
+    }
+
+    if (!message.html) {
+      // The message only contains directives like { events } or { acceptLayer }.
+      renderOptions.target = ':none'
+    } else if (target) {
+      renderOptions.target = target
+      renderOptions.document = message.html
+    } else {
+      // Derive the target from the root element in the message.
+      renderOptions.fragment = message.html
+    }
+
+    up.error.muteUncriticalRejection(up.render(renderOptions))
+  }
+
+}
@@ -195,6 +195,8 @@ up.Request = class Request extends up.Record {
   /*-
   The format in which the [request params](/up.Request.prototype.params) will be encoded.
 
+  With `application/json` the params are encoded as a [nested object](/up.Params.prototype.toNestedObject).
+
   @property up.Request#contentType
   @param {string} contentType
   @stable
@@ -241,6 +243,62 @@ up.Request = class Request extends up.Record {
   @experimental
   */
 
+  /*-
+  The priority of this request when picking the next request from the [queue](/up.network.config#config.concurrency).
+
+  Requests with a higher priority are sent first. Requests of the same priority
+  are sent in the order they were made.
+
+  Requests without a priority have a priority of `0`, or `-1` for [background](/up.Request.prototype.background) requests.
+
+  @property up.Request#priority
+  @param {number} [priority]
+  @experimental
+  */
+
+  /*-
+  Whether this request is retried after a network error, timeout or a temporary server error.
+
+  When set to a number, the request is retried up to that many times.
+  When set to `true`, the request is retried up to `up.network.config.maxRetries` times.
+  Other values throw an error.
+
+  Defaults to `up.network.config.retry`.
+
+  @property up.Request#retry
+  @param {boolean|number} [retry]
+  @experimental
+  */
+
+  /*-
+  The number of times this request has been [retried](/up.Request.prototype.retry).
+
+  @property up.Request#retryCount
+  @param {number} retryCount
+  @experimental
+  */
+
+  /*-
+  What to do when this request fails because the network is offline.
+
+  With `'queue'` an unsafe request is kept in an outbox and sent again
+  when the connection comes back. See [`{ offline }`](/up.request#options.offline) for details.
+
+  @property up.Request#offline
+  @param {string} [offline]
+  @experimental
+  */
+
+  /*-
+  A function that is called whenever bytes of this request are uploaded or downloaded.
+
+  The function is called with an `up:request:progress` event.
+
+  @property up.Request#onProgress
+  @param {Function(Event)} [onProgress]
+  @experimental
+  */
+
   /*-
   The number of milliseconds after which this request can cause
   an `up:network:late` event.
@@ -252,6 +310,57 @@ up.Request = class Request extends up.Record {
   @experimental
   */
 
+  /*-
+  How this request is sent over the network.
+
+  With `'xhr'` the request is sent using an [`XMLHttpRequest`](https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest).
+  With `'fetch'` the request is sent using the [`fetch()`](https://developer.mozilla.org/en-US/docs/Web/API/fetch) function.
+
+  Defaults to `up.network.config.transport`.
+
+  @property up.Request#transport
+  @param {string} transport
+  @experimental
+  */
+
+  /*-
+  Whether to send cookies and authorization headers with this request.
+
+  Accepts the same values as the [`credentials`](https://developer.mozilla.org/en-US/docs/Web/API/fetch#credentials)
+  option of `fetch()`: `'omit'`, `'same-origin'` or `'include'`.
+
+  When the request is sent [using XHR](/up.Request.prototype.transport), only `'include'` has an effect.
+
+  @property up.Request#credentials
+  @param {string} [credentials]
+  @experimental
+  */
+
+  /*-
+  Whether the request may outlive the page that made it.
+
+  This is useful to send a request while the user is leaving the page.
+
+  Only supported for requests sent [using `fetch()`](/up.Request.prototype.transport).
+
+  @property up.Request#keepalive
+  @param {boolean} [keepalive=false]
+  @experimental
+  */
+
+  /*-
+  A hint about the priority of this request relative to other requests made by the browser.
+
+  Accepts the same values as the [`priority`](https://developer.mozilla.org/en-US/docs/Web/API/fetch#priority)
+  option of `fetch()`: `'high'`, `'low'` or `'auto'`.
+
+  Only supported for requests sent [using `fetch()`](/up.Request.prototype.transport).
+
+  @property up.Request#fetchPriority
+  @param {string} [fetchPriority]
+  @experimental
+  */
+
   keys() {
     return [
       // 'signal',
@@ -265,6 +374,7 @@ up.Request = class Request extends up.Record {
       'timeout',
       'preload', // since up.network.request() options are sometimes wrapped in this class
       'background',
+      'priority',
       'cache',  // since up.network.request() options are sometimes wrapped in this class
       'clearCache',  // since up.network.request() options are sometimes wrapped in this class
 
@@ -286,9 +396,16 @@ up.Request = class Request extends up.Record {
       'contentType',
       'payload',
       'onQueued',
+      'onProgress',
       'fail',
       'abortable',
       'badResponseTime',
+      'transport',
+      'credentials',
+      'keepalive',
+      'fetchPriority',
+      'retry',
+      'offline',
     ]
   }
 
@@ -296,6 +413,7 @@ up.Request = class Request extends up.Record {
     return {
       state: 'new',
       abortable: true,
+      retryCount: 0,
       headers: {},
       timeout: up.network.config.timeout
     }
@@ -321,6 +439,15 @@ up.Request = class Request extends up.Record {
 
     this.params = new up.Params(this.params); // copies, which we want
 
+    // Fail early so the render promise rejects before anything is sent.
+    if (this.isJSON() && !this.payload && this.params.hasBinaryValues()) {
+      up.fail('Cannot encode binary params as %s', this.contentType)
+    }
+
+    if (up.network.outbox.accepts(this)) {
+      up.network.outbox.assertSerializable(this)
+    }
+
     if (this.preload) {
       // Preloading requires caching.
       this.cache = true
@@ -363,6 +490,13 @@ up.Request = class Request extends up.Record {
     // (2) We want to set the default once and then keep the value immutable. Otherwise
     //     the timer logic for up:network:late/:recover gets inconvenient edge cases.
     this.badResponseTime ??= u.evalOption(up.network.config.badResponseTime, this)
+
+    // We evaluate the default transport once so a request never changes
+    // its transport between being queued and being sent.
+    this.transport ??= u.evalOption(up.network.config.transport, this)
+
+    this.retry ??= u.evalOption(up.network.config.retry, this)
+    this.assertValidRetry()
   }
 
   /*-
@@ -461,6 +595,10 @@ up.Request = class Request extends up.Record {
     return u.methodAllowsPayload(this.method)
   }
 
+  isJSON() {
+    return /^application\/json\b/.test(this.contentType)
+  }
+
   will302RedirectWithGET() {
     return this.isSafe() || (this.method === 'POST')
   }
@@ -482,15 +620,34 @@ up.Request = class Request extends up.Record {
     if (this.state !== 'new') return
     this.state = 'loading'
 
-    // Convert from XHR's callback-based API to up.Request's promise-based API
-    this.xhr = new up.Request.XHRRenderer(this).buildAndSend({
+    this.send()
+  }
+
+  send() {
+    // Convert from XHR's callback-based API to up.Request's promise-based API.
+    // A FetchRenderer implements the same callbacks and the XHR properties we read
+    // from a response.
+    this.xhr = this.buildRenderer().buildAndSend({
       onload:    () => this.onXHRLoad(),
       onerror:   () => this.onXHRError(),
       ontimeout: () => this.onXHRTimeout(),
-      onabort:   () => this.onXHRAbort()
+      onabort:   () => this.onXHRAbort(),
+      onprogress: (event) => this.onXHRProgress('download', event),
+      onuploadprogress: (event) => this.onXHRProgress('upload', event),
     })
   }
 
+  buildRenderer() {
+    switch (this.transport) {
+      case 'fetch':
+        return new up.Request.FetchRenderer(this)
+      case 'xhr':
+        return new up.Request.XHRRenderer(this)
+      default:
+        up.fail('Unknown { transport } option: %o', this.transport)
+    }
+  }
+
   /*-
   Loads this request object as a full-page request, replacing the entire browser environment
   with a new page from the server response.
@@ -520,6 +677,8 @@ up.Request = class Request extends up.Record {
   onXHRLoad() {
     const response = this.extractResponseFromXHR()
 
+    if (!response.ok && this.tryRetry(response)) return
+
     const log = ['Server responded HTTP %d to %s %s (%d characters)', response.status, this.method, this.url, response.text.length]
     this.emit('up:request:loaded', { request: response.request, response, log })
 
@@ -529,16 +688,92 @@ up.Request = class Request extends up.Record {
   onXHRError() {
     // Neither XHR nor fetch() provide any meaningful error message.
     // Hence we ignore the passed ProgressEvent and use our own error message.
+    if (this.tryRetry()) return
+
+    // We only add requests to the outbox after a network error.
+    // After a timeout the server may already have processed the request.
+    if (up.network.outbox.accepts(this)) {
+      up.network.outbox.add(this)
+    }
+
     this.setOfflineState('Network error')
   }
 
+  onXHRProgress(direction, { loaded, total, lengthComputable }) {
+    // A request that was aborted or has settled may still receive a final progress event.
+    if (this.state !== 'loading') return
+
+    // With a compressed response the server's Content-Length may be lower than
+    // the number of decompressed bytes we receive.
+    let progress = lengthComputable ? Math.min(loaded / total, 1) : undefined
+    let event = this.emit('up:request:progress', {
+      direction,
+      loaded,
+      total: lengthComputable ? total : undefined,
+      progress,
+      log: false,
+    })
+
+    this.onProgress?.(event)
+  }
+
   onXHRTimeout() {
     // We used to treat timeouts like a client-side abort. While this is technically
     // what happens, it is more practical for users to consider a timeout like a failed
     // connection that we can retry with up.render({ onOffline }) etc.
+    if (this.tryRetry()) return
     this.setOfflineState('Timeout')
   }
 
+  // A value like 'auto' or NaN would silently disable retries.
+  assertValidRetry() {
+    let { retry } = this
+    if (!u.isMissing(retry) && !u.isBoolean(retry) && !(Number.isInteger(retry) && retry >= 0)) {
+      up.fail('Invalid { retry } option: %o', retry)
+    }
+  }
+
+  getMaxRetries() {
+    if (this.retry === true) {
+      return up.network.config.maxRetries
+    } else if (u.isNumber(this.retry)) {
+      return this.retry
+    } else {
+      return 0
+    }
+  }
+
+  // Schedules another attempt to load this request.
+  //
+  // The given response is undefined if the request failed due to a network error or timeout.
+  //
+  // Returns whether a retry was scheduled. If no retry was scheduled, the caller
+  // should settle the request.
+  tryRetry(response) {
+    if (this.retryCount >= this.getMaxRetries()) return false
+    if (!up.network.config.retryCondition(this, response)) return false
+
+    let attempt = this.retryCount + 1
+    let delay = u.evalOption(up.network.config.retryDelay, attempt, this)
+    let reason = response ? `HTTP ${response.status}` : 'Network error'
+    let log = ['Retrying request to %s in %d ms (%s, attempt %d)', this.description, delay, reason, attempt]
+    let event = this.emit('up:request:retry', { response, attempt, delay, log })
+
+    if (event.defaultPrevented) return false
+
+    this.retryCount = attempt
+    // Listeners may change the delay for this attempt.
+    this.retryTimer = u.timer(event.delay, () => this.onRetryTimer())
+    return true
+  }
+
+  onRetryTimer() {
+    // The request may have been aborted while we were waiting.
+    if (this.state !== 'loading') return
+
+    this.send()
+  }
+
   onXHRAbort() {
     // Use the default message that callers of request.abort() would also get.
     this.setAbortedState()
@@ -582,6 +817,7 @@ up.Request = class Request extends up.Record {
 
     let message = 'Aborted request to ' + this.description + (reason ? ':' + reason : '')
     this.state = 'aborted'
+    clearTimeout(this.retryTimer)
     this.deferred.reject(new up.AbortError(message))
     this.emit('up:request:aborted', { log: message })
 
@@ -601,6 +837,7 @@ up.Request = class Request extends up.Record {
   respondWith(response) {
     if (this.state !== 'loading') return
     this.state = 'loaded'
+    this.response = response
 
     if (response.ok) {
       return this.deferred.resolve(response)
@@ -645,6 +882,7 @@ up.Request = class Request extends up.Record {
       acceptLayer: up.protocol.acceptLayerFromXHR(this.xhr),
       dismissLayer: up.protocol.dismissLayerFromXHR(this.xhr),
       eventPlans: up.protocol.eventPlansFromXHR(this.xhr),
+      toasts: up.protocol.toastsFromXHR(this.xhr),
       context: up.protocol.contextFromXHR(this.xhr),
       clearCache: up.protocol.clearCacheFromXHR(this.xhr),
       fail: this.fail,
@@ -1,5 +1,24 @@
 let u = up.util
 
+// Response properties that we keep when persisting a cached response.
+// We don't persist { request } and { xhr }, which cannot be serialized.
+// We don't persist { toasts }, which must not be shown again when a persisted response is restored.
+const PERSISTED_RESPONSE_KEYS = [
+  'method',
+  'url',
+  'text',
+  'status',
+  'target',
+  'title',
+  'acceptLayer',
+  'dismissLayer',
+  'eventPlans',
+  'context',
+  'clearCache',
+]
+
+const PERSISTENT_STORE_KEY = 'up.network.cache'
+
 up.Request.Cache = class Cache extends up.Cache {
 
   maxSize() {
@@ -10,6 +29,17 @@ up.Request.Cache = class Cache extends up.Cache {
     return up.network.config.cacheExpiry
   }
 
+  maxBytes() {
+    return up.network.config.cacheMaxBytes
+  }
+
+  valueBytes(request) {
+    // We use the length of the response text as an estimate.
+    // While a request is still loading we don't know its size yet. When the response
+    // is received, up.network will set the request again, which updates its size.
+    return request.response?.text.length || 0
+  }
+
   normalizeStoreKey(request) {
     return u.wrapValue(up.Request, request).cacheKey()
   }
@@ -32,14 +62,188 @@ up.Request.Cache = class Cache extends up.Cache {
 //
 //    u.findResult candidates, (candidate) => super(candidate)
 
+  get(request, options = {}) {
+    return super.get(request, options) ?? this.restore(request, options)
+  }
+
+  set(request, cachedRequest) {
+    if (cachedRequest.response?.cacheControl['no-store']) {
+      // The server has asked us to never store this response.
+      this.remove(request)
+      return
+    }
+
+    super.set(request, cachedRequest)
+    this.persist(request, cachedRequest)
+  }
+
+  isFresh(entry) {
+    // Once we have received a response, its Cache-Control or Expires headers
+    // may decide how long we can use it. If the response has no such headers,
+    // we expire it after up.network.config.cacheExpiry.
+    let response = entry.value.response
+    if (u.isDefined(response?.usableLifetime)) {
+      return response.usable
+    } else {
+      return super.isFresh(entry)
+    }
+  }
+
+  remove(request) {
+    super.remove(request)
+    this.getPersistentCache()?.remove(this.normalizeStoreKey(request))
+  }
+
   clear(condition = true) {
     let tester = up.Request.tester(condition)
     this.each((key, request) => {
       if (tester(request)) {
         // It is generally not a great idea to manipulate the list we're iterating over,
         // but the implementation of up.Cache#each copies keys before iterating.
-        this.store.remove(key)
+        this.removeStoreKey(key)
+      }
+    })
+
+    let persistentCache = this.getPersistentCache()
+    persistentCache?.each((key, data) => {
+      if (tester(this.deserializeRequest(data))) {
+        persistentCache.remove(key)
       }
     })
   }
+
+  // Returns an up.Cache that keeps serialized responses in the store
+  // configured in up.network.config.cacheStore. The serialized responses
+  // survive a full page load.
+  //
+  // Returns undefined if no persistent store is configured.
+  getPersistentCache() {
+    let storeOption = up.network.config.cacheStore
+
+    if (storeOption !== this.persistentStoreOption) {
+      this.persistentStoreOption = storeOption
+      let store = this.buildPersistentStore(storeOption)
+      this.persistentCache = store && new up.Cache({
+        store,
+        // The same size and expiry limits apply for in-memory and persisted responses.
+        // Since both are also enforced when we read or write the persistent store,
+        // they are respected across sessions.
+        size: () => this.maxSize(),
+        expiry: () => this.expiryMillis(),
+        // Reordering entries on every read would write the entire store.
+        touch: false,
+      })
+    }
+
+    return this.persistentCache
+  }
+
+  buildPersistentStore(storeOption) {
+    switch (storeOption) {
+      case 'memory':
+        return
+      case 'session':
+        return new up.store.Session(PERSISTENT_STORE_KEY)
+      case 'indexedDB':
+        return new up.store.IndexedDB(PERSISTENT_STORE_KEY)
+      default:
+        return u.evalOption(storeOption)
+    }
+  }
+
+  persist(request, cachedRequest) {
+    // up.network sets a request when it is queued and again when it has loaded.
+    // We only persist once, when we have a successful response.
+    let { response } = cachedRequest
+    if (!response?.ok) return
+
+    let persistentCache = this.getPersistentCache()
+    if (!persistentCache) return
+
+    // (1) We cannot serialize binary params into a persistent store.
+    // (2) We never store a response with Cache-Control: no-store.
+    // (3) We don't persist a response that the server marked as private to the user,
+    //     since the persistent store outlives the user's session.
+    let { cacheControl } = response
+    if (!cachedRequest.params.hasBinaryValues() && !cacheControl['no-store'] && !cacheControl.private) {
+      persistentCache.set(this.normalizeStoreKey(request), this.serialize(cachedRequest, response))
+    }
+  }
+
+  restore(request, options) {
+    request = u.wrapValue(up.Request, request)
+    let storeKey = this.normalizeStoreKey(request)
+    let data = this.getPersistentCache()?.get(storeKey)
+    if (!data) return
+
+    let restoredRequest = this.deserializeRequest(data)
+    let response = new up.Response({
+      ...data.response,
+      request: restoredRequest,
+      loadedAt: new Date(data.loadedAt),
+    })
+
+    if (!response.usable) {
+      this.getPersistentCache().remove(storeKey)
+      return
+    }
+
+    if (!options.silent) { this.log("Restoring persisted response for '%s'", request.description) }
+
+    restoredRequest.state = 'loaded'
+    restoredRequest.response = response
+    restoredRequest.deferred.resolve(response)
+
+    // Set the entry directly so the in-memory entry expires
+    // at the same time as the persisted entry.
+    this.setEntry(storeKey, {
+      timestamp: data.loadedAt,
+      value: restoredRequest,
+      bytes: this.valueBytes(restoredRequest),
+    })
+
+    return restoredRequest
+  }
+
+  serialize(request, response) {
+    return {
+      request: {
+        ...request.metaProps(),
+        method: request.method,
+        url: request.url,
+        params: request.params.toQuery(),
+      },
+      response: {
+        ...u.pick(response, PERSISTED_RESPONSE_KEYS),
+        headers: this.serializeHeaders(response),
+      },
+      loadedAt: response.loadedAt.valueOf(),
+    }
+  }
+
+  serializeHeaders(response) {
+    let headers = {}
+
+    // Both XMLHttpRequest and up.Request.FetchRenderer return headers
+    // as a CRLF-separated string.
+    let rawHeaders = response.xhr?.getAllResponseHeaders() || ''
+    for (let line of rawHeaders.trim().split(/[\r\n]+/)) {
+      let match = line.match(/^([^:]+):\s*(.*)$/)
+      if (match) {
+        headers[match[1].toLowerCase()] = match[2]
+      }
+    }
+
+    for (let name in response.headers) {
+      headers[name.toLowerCase()] = response.headers[name]
+    }
+
+    return headers
+  }
+
+  deserializeRequest(data) {
+    // We pass { basic: true } since the layer that made the request
+    // may no longer exist.
+    return new up.Request({ ...data.request, cache: true, basic: true })
+  }
 }
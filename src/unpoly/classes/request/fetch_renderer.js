@@ -0,0 +1,138 @@
+const u = up.util
+
+/*-
+Sends an `up.Request` using the browser's [`fetch()`](https://developer.mozilla.org/en-US/docs/Web/API/fetch) function.
+
+This renderer is used for requests with a `{ transport: 'fetch' }` option.
+
+So code that processes an `XMLHttpRequest` (like the header parsing in `up.protocol`)
+keeps working, a `FetchRenderer` implements the subset of the `XMLHttpRequest` API
+that Unpoly reads from: `{ status }`, `{ responseText }`, `{ responseURL }`,
+`getResponseHeader()`, `getAllResponseHeaders()` and `abort()`.
+
+@class up.Request.FetchRenderer
+@internal
+*/
+up.Request.FetchRenderer = class FetchRenderer extends up.Request.XHRRenderer {
+
+  buildAndSend(handlers) {
+    this.handlers = handlers
+
+    // We copy params since we will modify them below.
+    // This would confuse API clients and cache key logic in up.network.
+    this.params = u.copy(this.request.params)
+
+    this.abortController = new AbortController()
+
+    let init = {
+      // We must get the method before the payload, since wrapping
+      // the method will add a _method param.
+      method: this.getMethod(),
+      headers: this.getHeaders(),
+      body: this.getPayload(),
+      signal: this.abortController.signal,
+      credentials: this.request.credentials,
+      keepalive: this.request.keepalive,
+      priority: this.request.fetchPriority,
+    }
+
+    if (init.body instanceof ReadableStream) {
+      // fetch() only allows streaming request bodies in half-duplex mode.
+      init.duplex = 'half'
+    }
+
+    // Other than XMLHttpRequest, fetch() has no built-in timeout.
+    if (this.request.timeout) {
+      this.timeoutTimer = u.timer(this.request.timeout, () => this.onTimeout())
+    }
+
+    this.fetchAndRead(u.compactObject(init))
+
+    return this
+  }
+
+  async fetchAndRead(init) {
+    try {
+      this.fetchResponse = await fetch(this.request.url, init)
+      // Like an XMLHttpRequest, we don't consider the request loaded
+      // until we have received the entire body.
+      this.responseText = await this.readText()
+    } catch (_error) {
+      // Like XMLHttpRequest, fetch() provides no meaningful error message
+      // for a network error, so we don't pass the error on.
+      this.onFetchFailed()
+      return
+    } finally {
+      clearTimeout(this.timeoutTimer)
+    }
+
+    if (this.abortController.signal.aborted) {
+      // A fetch() implementation may ignore our signal, e.g. when a
+      // service worker or test harness responds with a synthetic response.
+      this.onFetchFailed()
+    } else {
+      this.handlers.onload()
+    }
+  }
+
+  // Reads the response body in chunks so we can report download progress.
+  // fetch() has no way to report upload progress.
+  async readText() {
+    let reader = this.fetchResponse.body?.getReader()
+    if (!reader) return this.fetchResponse.text()
+
+    let total = Number(this.fetchResponse.headers.get('Content-Length'))
+    let decoder = new TextDecoder()
+    let text = ''
+    let loaded = 0
+
+    for (;;) {
+      let { done, value } = await reader.read()
+      if (done) break
+      loaded += value.length
+      text += decoder.decode(value, { stream: true })
+      this.handlers.onprogress({ loaded, total, lengthComputable: total > 0 })
+    }
+
+    return text + decoder.decode()
+  }
+
+  onFetchFailed() {
+    if (this.timedOut) {
+      this.handlers.ontimeout()
+    } else if (this.abortController.signal.aborted) {
+      this.handlers.onabort()
+    } else {
+      this.handlers.onerror()
+    }
+  }
+
+  onTimeout() {
+    this.timedOut = true
+    this.abortController.abort()
+  }
+
+  abort() {
+    this.abortController.abort()
+  }
+
+  get status() {
+    return this.fetchResponse?.status
+  }
+
+  get responseURL() {
+    return this.fetchResponse?.url
+  }
+
+  getResponseHeader(name) {
+    // Like XMLHttpRequest, we return null for a missing header.
+    return this.fetchResponse?.headers.get(name) ?? null
+  }
+
+  getAllResponseHeaders() {
+    let lines = []
+    this.fetchResponse?.headers.forEach((value, name) => lines.push(`${name}: ${value}`))
+    return lines.join('\r\n')
+  }
+
+}
@@ -0,0 +1,175 @@
+const u = up.util
+
+/*-
+Keeps unsafe requests that failed because the network was offline,
+and replays them when the connection comes back.
+
+Requests are only added to the outbox when made with an `{ offline: 'queue' }` option.
+
+Requests are persisted in IndexedDB, so they survive a full page load.
+When Unpoly boots while online, requests left over from a previous page are replayed.
+
+We only open IndexedDB once a request was queued, either on this page or on a previous page.
+Apps that never queue a request don't pay for opening a database on every page load.
+
+@class up.Request.Outbox
+@internal
+*/
+up.Request.Outbox = class Outbox {
+
+  constructor() {
+    this.lastKey = 0
+    // Remembers whether the IndexedDB store may contain requests from a previous page.
+    this.flags = new up.store.Local('up.network.outbox')
+  }
+
+  getStore() {
+    if (!this.store) {
+      this.store = new up.store.IndexedDB('up.network.outbox')
+      this.flags.set('pending', true)
+    }
+    return this.store
+  }
+
+  mayHaveEntries() {
+    return !!this.store || !!this.flags.get('pending')
+  }
+
+  /*-
+  The number of requests waiting to be replayed.
+
+  @property up.Request.Outbox#size
+  @param {number} size
+  @internal
+  */
+  get size() {
+    return this.store?.size() ?? 0
+  }
+
+  // Returns whether the given request should be added to the outbox when it failed
+  // because the network is offline.
+  //
+  // We don't queue safe requests, since there is no user input that would be lost.
+  accepts(request) {
+    return request.offline === 'queue' && !request.isSafe()
+  }
+
+  // Requests are persisted with the structured clone algorithm, which cannot copy some payloads.
+  // We fail when such a request is made, instead of losing it when the network goes offline.
+  assertSerializable(request) {
+    let { payload } = request
+    if (u.isGiven(payload) && !u.isString(payload) && !(payload instanceof FormData) && !(payload instanceof URLSearchParams) && !(payload instanceof Blob)) {
+      up.fail('Cannot queue a request with a %o payload. Pass { params } or a string payload instead.', payload)
+    }
+  }
+
+  add(request) {
+    let key = this.nextKey()
+    this.getStore().set(key, this.serialize(request))
+
+    let log = ['Request to %s will be sent when the connection is back', request.description]
+    up.emit('up:outbox:added', { request, pending: this.size, log })
+  }
+
+  // Keys are ascending numbers, so we can replay requests in the order they were added.
+  // Since we may load keys from a previous page, we base keys on the current time.
+  nextKey() {
+    return this.lastKey = Math.max(Date.now(), this.lastKey + 1)
+  }
+
+  async replay() {
+    if (this.replaying || !this.mayHaveEntries()) return
+    this.replaying = true
+
+    try {
+      let store = this.getStore()
+      // Wait until requests from a previous page are loaded.
+      await store.loaded
+
+      // Replay requests one by one so a later request cannot overtake an earlier request
+      // that it depends on.
+      let key
+      while (u.isDefined(key = this.firstKey())) {
+        let keepReplaying = await this.replayEntry(key, store.get(key))
+        if (!keepReplaying) break
+      }
+
+      if (!store.size()) {
+        this.flags.remove('pending')
+      }
+    } finally {
+      this.replaying = false
+    }
+  }
+
+  firstKey() {
+    return this.getStore().keys().sort((a, b) => a - b)[0]
+  }
+
+  async replayEntry(key, data) {
+    let request = up.request({
+      ...data,
+      params: new up.Params(data.params),
+      payload: data.formPayload ? new up.Params(data.formPayload).toFormData() : data.payload,
+      background: true,
+      cache: false,
+    })
+
+    let response
+
+    try {
+      response = await request
+    } catch (error) {
+      if (error instanceof up.Response) {
+        response = error
+      } else {
+        // We are still offline, or the request was aborted.
+        // We keep the request in the outbox and try again later.
+        return false
+      }
+    }
+
+    this.getStore().remove(key)
+
+    let pending = this.size
+    if (response.ok) {
+      up.emit('up:outbox:replayed', { request, response, pending, log: ['Replayed request to %s', request.description] })
+    } else {
+      up.emit('up:outbox:conflict', { request, response, pending, log: ['Server rejected replayed request to %s', request.description] })
+    }
+
+    return true
+  }
+
+  serialize(request) {
+    let { payload } = request
+    let formPayload
+
+    // The structured clone algorithm cannot copy FormData and URLSearchParams.
+    // IndexedDB can store File values in an array of params.
+    if (payload instanceof FormData) {
+      formPayload = new up.Params(payload).toArray()
+      payload = undefined
+    } else if (payload instanceof URLSearchParams) {
+      payload = payload.toString()
+    }
+
+    return u.compactObject({
+      method: request.method,
+      url: request.url,
+      params: request.params.toArray(),
+      headers: request.headers,
+      contentType: request.contentType,
+      payload,
+      formPayload,
+    })
+  }
+
+  clear() {
+    if (this.mayHaveEntries()) {
+      this.getStore().clear()
+    }
+    this.flags.remove('pending')
+  }
+
+}
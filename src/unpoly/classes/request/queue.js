@@ -59,11 +59,61 @@ up.Request.Queue = class Queue {
     return u.evalOption(up.network.config.concurrency)
   }
 
+  getMaxOriginConcurrency(origin) {
+    return u.evalOption(up.network.config.originConcurrency, origin) ?? -1
+  }
+
+  // Returns an object that maps a priority to the number of slots
+  // that are reserved for requests with that priority or higher.
+  getReservedConcurrency() {
+    return u.evalOption(up.network.config.reservedConcurrency) || {}
+  }
+
+  getPriority(request) {
+    // A request without an explicit { priority } has priority 0
+    // in the foreground and priority -1 in the background.
+    return request.priority ?? (request.background ? -1 : 0)
+  }
+
+  getOrigin(request) {
+    return u.parseURL(request.url).origin
+  }
+
   hasConcurrencyLeft() {
     const maxConcurrency = this.getMaxConcurrency()
     return (maxConcurrency === -1) || (this.currentRequests.length < maxConcurrency)
   }
 
+  canSendNow(request) {
+    return this.hasConcurrencyLeft() && this.hasReservedConcurrencyLeft(request) && this.hasOriginConcurrencyLeft(request)
+  }
+
+  hasReservedConcurrencyLeft(request) {
+    const maxConcurrency = this.getMaxConcurrency()
+    if (maxConcurrency === -1) return true
+
+    const priority = this.getPriority(request)
+
+    // For every priority class above the given request, we must leave its
+    // reserved slots to requests of that class (or higher).
+    return u.every(Object.entries(this.getReservedConcurrency()), ([reservedPriority, reservedSlots]) => {
+      reservedPriority = Number(reservedPriority)
+      if (priority >= reservedPriority) return true
+
+      const lowerRequests = u.filter(this.currentRequests, (currentRequest) => this.getPriority(currentRequest) < reservedPriority)
+      return lowerRequests.length < (maxConcurrency - reservedSlots)
+    })
+  }
+
+  hasOriginConcurrencyLeft(request) {
+    const origin = this.getOrigin(request)
+    const maxOriginConcurrency = this.getMaxOriginConcurrency(origin)
+    if (maxOriginConcurrency === -1) return true
+
+    const originRequests = u.filter(this.currentRequests, (currentRequest) => this.getOrigin(currentRequest) === origin)
+    return originRequests.length < maxOriginConcurrency
+  }
+
   isBusy() {
     return this.currentRequests.length > 0 || this.queuedRequests.length > 0
   }
@@ -74,12 +124,17 @@ up.Request.Queue = class Queue {
   }
 
   pluckNextRequest() {
-    // We always prioritize foreground requests over background requests.
-    // Only when there is no foreground request left in the queue we will send a background request.
+    // We always prioritize requests with a higher priority. Requests of the same
+    // priority are sent in the order they were queued.
+    //
+    // A request is skipped while its origin is busy or while the remaining slots are reserved
+    // for higher priorities. In that case we may send a later request instead.
+    //
     // Note that if a queued preload request is requested without { preload: true } we will
     // promote it to the foreground (see @promoteToForeground()).
-    let request = u.find(this.queuedRequests, request => !request.background)
-    request ||= this.queuedRequests[0]
+    // Array#sort() is stable, so requests of the same priority keep their order.
+    let candidates = [...this.queuedRequests].sort((a, b) => this.getPriority(b) - this.getPriority(a))
+    let request = u.find(candidates, (request) => this.canSendNow(request))
     return u.remove(this.queuedRequests, request)
   }
 
@@ -21,43 +21,32 @@ up.Request.XHRRenderer = class XHRRenderer {
       this.xhr.timeout = this.request.timeout
     }
 
+    // XHR can only choose between sending credentials to cross-origin URLs or not.
+    // This maps to fetch()'s { credentials: 'include' } option.
+    if (this.request.credentials === 'include') {
+      this.xhr.withCredentials = true
+    }
+
     // The XMLHttpRequest method must be opened before we can add headers to it.
     this.xhr.open(this.getMethod(), this.request.url)
 
-    // Add information about the response's intended use so the server may
-    // customize or shorten its response.
-    const metaProps = this.request.metaProps()
-    for (let key in metaProps) {
-      this.addHeader(
-        up.protocol.headerize(key),
-        metaProps[key]
-      )
-    }
-
-    for (let header in this.request.headers) {
-      this.addHeader(
-        header,
-        this.request.headers[header]
-      )
+    let headers = this.getHeaders()
+    for (let header in headers) {
+      this.xhr.setRequestHeader(header, headers[header])
     }
 
-    let csrfHeader, csrfToken
-    if ((csrfHeader = this.request.csrfHeader()) && (csrfToken = this.request.csrfToken())) {
-      this.addHeader(csrfHeader, csrfToken)
-    }
+    let { onuploadprogress, ...xhrHandlers } = handlers
+    Object.assign(this.xhr, xhrHandlers)
 
-    this.addHeader(up.protocol.headerize('version'), up.version)
+    let payload = this.getPayload()
 
-    // The { contentType } will be missing in case of a FormData payload.
-    // In this case the browser will choose a content-type with MIME boundary,
-    // like: multipart/form-data; boundary=----WebKitFormBoundaryHkiKAbOweEFUtny8
-    let contentType = this.getContentType()
-    if (contentType) {
-      this.addHeader('Content-Type', contentType)
+    // Listening to upload events forces a CORS preflight for cross-origin requests.
+    // Hence we only listen when there is a request body to upload.
+    if (payload && this.xhr.upload && !this.request.isCrossOrigin()) {
+      this.xhr.upload.onprogress = onuploadprogress
     }
 
-    Object.assign(this.xhr, handlers)
-    this.xhr.send(this.getPayload())
+    this.xhr.send(payload)
 
     return this.xhr
   }
@@ -69,7 +58,8 @@ up.Request.XHRRenderer = class XHRRenderer {
     // if the server redirects with 302 (Rails default) instead of 303.
     if (!this.method) {
       this.method = this.request.method
-      if (this.request.wrapMethod && !this.request.will302RedirectWithGET()) {
+      // A server cannot read a _method param from a JSON payload before parsing it.
+      if (this.request.wrapMethod && !this.request.will302RedirectWithGET() && !this.request.isJSON()) {
         this.method = up.protocol.wrapMethod(this.method, this.params)
       }
     }
@@ -87,11 +77,49 @@ up.Request.XHRRenderer = class XHRRenderer {
     return this.payload
   }
 
+  getHeaders() {
+    this.headers = {}
+
+    // Add information about the response's intended use so the server may
+    // customize or shorten its response.
+    const metaProps = this.request.metaProps()
+    for (let key in metaProps) {
+      this.addHeader(
+        up.protocol.headerize(key),
+        metaProps[key]
+      )
+    }
+
+    for (let header in this.request.headers) {
+      this.addHeader(
+        header,
+        this.request.headers[header]
+      )
+    }
+
+    let csrfHeader, csrfToken
+    if ((csrfHeader = this.request.csrfHeader()) && (csrfToken = this.request.csrfToken())) {
+      this.addHeader(csrfHeader, csrfToken)
+    }
+
+    this.addHeader(up.protocol.headerize('version'), up.version)
+
+    // The { contentType } will be missing in case of a FormData payload.
+    // In this case the browser will choose a content-type with MIME boundary,
+    // like: multipart/form-data; boundary=----WebKitFormBoundaryHkiKAbOweEFUtny8
+    let contentType = this.getContentType()
+    if (contentType) {
+      this.addHeader('Content-Type', contentType)
+    }
+
+    return this.headers
+  }
+
   addHeader(header, value) {
     if (u.isOptions(value) || u.isArray(value)) {
       value = JSON.stringify(value)
     }
-    this.xhr.setRequestHeader(header, value)
+    this.headers[header] = value
   }
 
   finalizePayload() {
@@ -109,7 +137,9 @@ up.Request.XHRRenderer = class XHRRenderer {
       }
 
       // Serialize our payload
-      if (this.contentType === CONTENT_TYPE_FORM_DATA) {
+      if (this.request.isJSON()) {
+        this.payload = JSON.stringify(this.params.toNestedObject())
+      } else if (this.contentType === CONTENT_TYPE_FORM_DATA) {
         // The effective Content-Type header will look like
         // multipart/form-data; boundary=----WebKitFormBoundaryHkiKAbOweEFUtny8
         // When we send a FormData payload the browser will automatically
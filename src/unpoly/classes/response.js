@@ -75,6 +75,10 @@ up.Response = class Response extends up.Record {
   The [`XMLHttpRequest`](https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest)
   object that was used to create this response.
 
+  When the request was sent [using `fetch()`](/up.Request.prototype.transport),
+  this is an object implementing the `XMLHttpRequest` properties that
+  Unpoly reads from a response, like `{ status }` and `getResponseHeader()`.
+
   @property up.Response#xhr
   @param {XMLHttpRequest} xhr
   @experimental
@@ -128,6 +132,7 @@ up.Response = class Response extends up.Record {
       'acceptLayer',
       'dismissLayer',
       'eventPlans',
+      'toasts',
       'context',
       'clearCache',
       'headers', // custom headers to for synthetic reponses without { xhr } property
@@ -167,7 +172,8 @@ up.Response = class Response extends up.Record {
   @experimental
   */
   getHeader(name) {
-    return this.headers[name] || this.xhr?.getResponseHeader(name)
+    // Headers restored from a persistent cache have lower-case names.
+    return this.headers[name] || this.headers[name.toLowerCase()] || this.xhr?.getResponseHeader(name)
   }
 
 
@@ -220,6 +226,22 @@ up.Response = class Response extends up.Record {
     return this.getHeader('ETag')
   }
 
+  /*-
+  The number of milliseconds until a [polling](/up-poll) fragment should be reloaded again.
+
+  This is extracted from the [`X-Up-Poll-Interval`](/X-Up-Poll-Interval) header sent by the server.
+
+  @property up.Response#pollInterval
+  @param {number|undefined} pollInterval
+  @internal
+  */
+  get pollInterval() { // eslint-disable-line getter-return
+    let header = this.getHeader('X-Up-Poll-Interval')
+    if (header) {
+      return Number(header)
+    }
+  }
+
   /*-
   The response body parsed as a JSON string.
 
@@ -251,4 +273,108 @@ up.Response = class Response extends up.Record {
     return now - this.loadedAt
   }
 
+  /*-
+  The directives of the response's [`Cache-Control`](https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Cache-Control) header.
+
+  Directive names are lower-case. Directives with a numeric value (like `max-age=60`) are
+  parsed into a number. Directives without a value (like `no-store`) are set to `true`.
+
+  Returns an empty object if the server sent no `Cache-Control` header.
+
+  @property up.Response#cacheControl
+  @param {Object} cacheControl
+  @internal
+  */
+  get cacheControl() {
+    return this.parsedCacheControl ||= up.protocol.cacheControlFromHeader(this.getHeader('Cache-Control'))
+  }
+
+  /*-
+  The number of milliseconds that this response may be used from the [cache](/up.request#caching)
+  without revalidation.
+
+  This is extracted from the `max-age` directive in the response's `Cache-Control` header,
+  or from the `Expires` header. A response with `Cache-Control: no-cache` has a fresh lifetime of zero.
+
+  Returns `undefined` if the server sent no such headers.
+
+  @property up.Response#freshLifetime
+  @param {number|undefined} freshLifetime
+  @internal
+  */
+  get freshLifetime() { // eslint-disable-line getter-return
+    let cacheControl = this.cacheControl
+
+    if (cacheControl['no-cache']) {
+      return 0
+    }
+
+    if (u.isNumber(cacheControl['max-age'])) {
+      return cacheControl['max-age'] * 1000
+    }
+
+    let expiresHeader = this.getHeader('Expires')
+    if (expiresHeader) {
+      let expires = new Date(expiresHeader)
+      let date = new Date(this.getHeader('Date') || this.loadedAt)
+      // An invalid Expires value (like "0") means that the response has already expired.
+      return Math.max((expires - date) || 0, 0)
+    }
+  }
+
+  /*-
+  The number of milliseconds that this response may be used from the [cache](/up.request#caching)
+  at all, when it is revalidated after rendering.
+
+  This adds the `stale-while-revalidate` directive in the response's `Cache-Control` header
+  to its [fresh lifetime](/up.Response.prototype.freshLifetime). Without a `stale-while-revalidate`
+  directive the response cannot be used once it is stale.
+
+  Returns `undefined` if the server sent no such headers.
+  In that case `up.network.config.cacheExpiry` is used.
+
+  @property up.Response#usableLifetime
+  @param {number|undefined} usableLifetime
+  @internal
+  */
+  get usableLifetime() { // eslint-disable-line getter-return
+    let freshLifetime = this.freshLifetime
+    let staleWhileRevalidate = this.cacheControl['stale-while-revalidate']
+
+    if (u.isNumber(staleWhileRevalidate)) {
+      return (freshLifetime ?? up.network.config.cacheFreshAge) + staleWhileRevalidate * 1000
+    } else {
+      return freshLifetime
+    }
+  }
+
+  /*-
+  Returns whether this response is older than its fresh lifetime.
+
+  A stale response may still be rendered from the cache, but will then be
+  [revalidated](/up.fragment.config#config.autoRevalidate) with the server.
+
+  The fresh lifetime is set by the server through the `max-age` directive of a `Cache-Control` header,
+  or by an `Expires` header. If the server sent neither, `up.network.config.cacheFreshAge` is used.
+
+  @property up.Response#stale
+  @param {boolean} stale
+  @experimental
+  */
+  get stale() {
+    return this.age >= (this.freshLifetime ?? up.network.config.cacheFreshAge)
+  }
+
+  /*-
+  Returns whether this response may be used from the cache.
+
+  @property up.Response#usable
+  @param {boolean} usable
+  @internal
+  */
+  get usable() {
+    let usableLifetime = this.usableLifetime
+    return u.isUndefined(usableLifetime) || (this.age < usableLifetime)
+  }
+
 }
@@ -0,0 +1,101 @@
+//#
+// Store implementation backed by IndexedDB
+// ========================================
+//
+// IndexedDB can only be accessed asynchronously. To offer the same synchronous
+// interface as up.store.Memory, this store keeps all data in memory
+// and writes changes through to IndexedDB in the background.
+//
+// When the store is constructed we start loading previously persisted data.
+// The { loaded } property is a promise that fulfills when that data is available.
+// Changes made before loading has finished take precedence over loaded values.
+//
+// Values must be supported by the structured clone algorithm.
+//
+// When IndexedDB is not available (e.g. in some private browsing modes) or
+// the storage quota is exceeded, we keep working with in-memory data only.
+//
+up.store.IndexedDB = class IndexedDB extends up.store.Memory {
+
+  constructor(rootKey) {
+    super()
+    this.rootKey = rootKey
+    // Remember which keys were changed while we're still loading.
+    this.changedKeys = new Set()
+    this.loaded = this.loadFromIndexedDB()
+  }
+
+  clear() {
+    super.clear()
+    this.clearedWhileLoading = !!this.changedKeys
+    this.writeToIndexedDB((objectStore) => objectStore.clear())
+  }
+
+  set(key, value) {
+    super.set(key, value)
+    this.changedKeys?.add(key)
+    this.writeToIndexedDB((objectStore) => objectStore.put(value, key))
+  }
+
+  remove(key) {
+    super.remove(key)
+    this.changedKeys?.add(key)
+    this.writeToIndexedDB((objectStore) => objectStore.delete(key))
+  }
+
+  openDatabase() {
+    return this.database ||= new Promise((resolve, reject) => {
+      let openRequest = indexedDB.open(this.rootKey, 1)
+      openRequest.onupgradeneeded = () => openRequest.result.createObjectStore('entries')
+      openRequest.onsuccess = () => resolve(openRequest.result)
+      openRequest.onerror = () => reject(openRequest.error)
+    })
+  }
+
+  async withObjectStore(mode, fn) {
+    let database = await this.openDatabase()
+    let transaction = database.transaction('entries', mode)
+    let result = fn(transaction.objectStore('entries'))
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(result)
+      // A transaction aborts when the storage quota is exceeded.
+      transaction.onabort = () => reject(transaction.error)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  async loadFromIndexedDB() {
+    try {
+      let [keysRequest, valuesRequest] = await this.withObjectStore('readonly', (objectStore) => [
+        objectStore.getAllKeys(),
+        objectStore.getAll(),
+      ])
+
+      if (!this.clearedWhileLoading) {
+        keysRequest.result.forEach((key, index) => {
+          if (!this.changedKeys.has(key)) {
+            this.data.set(key, valuesRequest.result[index])
+          }
+        })
+      }
+    } catch (error) {
+      // IndexedDB not supported (see class comment).
+      // In this case we keep the initial Map from up.store.Memory constructor.
+    } finally {
+      this.changedKeys = null
+    }
+  }
+
+  async writeToIndexedDB(fn) {
+    try {
+      // Make sure we don't overwrite data that is still being loaded.
+      await this.loaded
+      await this.withObjectStore('readwrite', fn)
+    } catch (error) {
+      // IndexedDB not supported or quota exceeded (see class comment).
+      // We do nothing and only keep data in-memory.
+      up.puts('up.store.IndexedDB', 'Could not persist data: %o', error)
+    }
+  }
+}
@@ -0,0 +1,17 @@
+//#
+// Store implementation backed by window.localStorage
+// ==================================================
+//
+// Other than up.store.Session, data is shared between tabs and survives
+// when the browser is closed.
+//
+// Like up.store.Session, this falls back to in-memory storage if
+// window.localStorage is not available.
+//
+up.store.Local = class Local extends up.store.Session {
+
+  get storage() {
+    return window.localStorage
+  }
+
+}
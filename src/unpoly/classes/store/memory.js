@@ -3,34 +3,41 @@ up.store ||= {}
 up.store.Memory = class Memory {
 
   constructor() {
-    this.data = {}
+    // We use a Map since it remembers the insertion order of keys,
+    // regardless of whether a key looks like an array index.
+    this.data = new Map()
   }
 
   clear() {
-    this.data = {}
+    this.data = new Map()
   }
 
   get(key) {
-    return this.data[key]
+    return this.data.get(key)
   }
 
   set(key, value) {
-    this.data[key] = value
+    this.data.set(key, value)
   }
 
   remove(key) {
-    delete this.data[key]
+    this.data.delete(key)
   }
 
   keys() {
-    return Object.keys(this.data)
+    return Array.from(this.data.keys())
+  }
+
+  // Returns the key that was set the longest time ago.
+  firstKey() {
+    return this.data.keys().next().value
   }
 
   size() {
-    return this.keys().length
+    return this.data.size
   }
 
   values() {
-    return Object.values(this.data)
+    return Array.from(this.data.values())
   }
 }
@@ -1,3 +1,5 @@
+const u = up.util
+
 //#
 // Store implementation backed by window.sessionStorage
 // ====================================================
@@ -25,29 +27,34 @@ up.store.Session = class Session extends up.store.Memory {
   constructor(rootKey) {
     super()
     this.rootKey = rootKey
-    this.loadFromSessionStorage()
+    this.loadFromStorage()
+  }
+
+  // Subclasses may use another Storage object, like window.localStorage.
+  get storage() {
+    return window.sessionStorage
   }
 
   clear() {
     super.clear()
-    this.saveToSessionStorage()
+    this.saveToStorage()
   }
 
   set(key, value) {
     super.set(key, value)
-    this.saveToSessionStorage()
+    this.saveToStorage()
   }
 
   remove(key) {
     super.remove(key)
-    this.saveToSessionStorage()
+    this.saveToStorage()
   }
 
-  loadFromSessionStorage() {
+  loadFromStorage() {
     try {
-      let raw = sessionStorage?.getItem(this.rootKey)
+      let raw = this.storage?.getItem(this.rootKey)
       if (raw) {
-        this.data = JSON.parse(raw)
+        this.data = new Map(Object.entries(JSON.parse(raw)))
       }
     } catch (error) {
       // window.sessionStorage not supported (see class comment)
@@ -56,10 +63,10 @@ up.store.Session = class Session extends up.store.Memory {
     }
   }
 
-  saveToSessionStorage() {
-    const json = JSON.stringify(this.data)
+  saveToStorage() {
+    const json = JSON.stringify(u.mapObject(Array.from(this.data), u.identity))
     try {
-      return sessionStorage?.setItem(this.rootKey, json)
+      return this.storage?.setItem(this.rootKey, json)
     } catch (error) {
       // window.sessionStorage not supported (see class comment).
       // We do nothing and only keep data in-memory.
@@ -1,6 +1,13 @@
 const u = up.util
 const e = up.element
 
+const OPPOSITE_POSITIONS = {
+  top: 'bottom',
+  bottom: 'top',
+  left: 'right',
+  right: 'left',
+}
+
 up.Tether = class Tether {
 
   constructor(options) {
@@ -8,6 +15,11 @@ up.Tether = class Tether {
     this.anchor = options.anchor
     this.align = options.align
     this.position = options.position
+    this.onPositionChanged = options.onPositionChanged
+
+    // We try the preferred position with every sync, in case there is enough space again.
+    this.preferredPosition = this.position
+    this.parseCollision(options.collision)
 
     this.alignAxis = (this.position === 'top') || (this.position === 'bottom') ? 'horizontal' : 'vertical'
 
@@ -21,9 +33,22 @@ up.Tether = class Tether {
     this.syncOnScroll = !this.viewport.contains(this.anchor.offsetParent)
   }
 
+  parseCollision(collision) {
+    let tokens = u.parseTokens(collision || 'none')
+    let auto = u.contains(tokens, 'auto')
+    this.flip = auto || u.contains(tokens, 'flip')
+    this.shift = auto || u.contains(tokens, 'shift')
+    this.fitSize = u.contains(tokens, 'size')
+    this.avoidsCollision = this.flip || this.shift || this.fitSize
+  }
+
   start(element) {
     this.element = element
     this.element.style.position = 'absolute'
+    if (this.fitSize) {
+      // Let the user scroll content that no longer fits.
+      this.element.style.overflow = 'auto'
+    }
     this.setOffset(0, 0)
     this.sync()
     this.changeEventSubscription('on')
@@ -37,6 +62,8 @@ up.Tether = class Tether {
     let doScheduleSync = this.scheduleSync.bind(this)
     up[fn](window, 'resize', doScheduleSync)
     if (this.syncOnScroll) { up[fn](this.viewport, 'scroll', doScheduleSync); }
+    // The best position depends on where the anchor is within the visible area.
+    if (this.avoidsCollision) { up[fn](window, 'scroll', doScheduleSync) }
   }
 
   scheduleSync() {
@@ -49,7 +76,12 @@ up.Tether = class Tether {
   }
 
   sync() {
-    const elementBox = this.element.getBoundingClientRect()
+    if (this.fitSize) {
+      // Measure the element's natural size.
+      e.setStyle(this.element, { maxWidth: '', maxHeight: '' })
+    }
+
+    let elementBox = this.element.getBoundingClientRect()
 
     const elementMargin = {
       top:    e.styleNumber(this.element, 'marginTop'),
@@ -59,13 +91,46 @@ up.Tether = class Tether {
     }
 
     const anchorBox = this.anchor.getBoundingClientRect()
+    const bounds = this.getBounds()
+
+    let position = this.preferredPosition
+    let coordinates = this.computeCoordinates(position, elementBox, elementMargin, anchorBox)
+
+    if (this.flip) {
+      let oppositePosition = OPPOSITE_POSITIONS[position]
+      let oppositeCoordinates = this.computeCoordinates(oppositePosition, elementBox, elementMargin, anchorBox)
+      let overflow = this.overflowAt(position, coordinates, elementBox, bounds)
+      // Only flip when the opposite side has more space.
+      if (overflow > 0 && this.overflowAt(oppositePosition, oppositeCoordinates, elementBox, bounds) < overflow) {
+        position = oppositePosition
+        coordinates = oppositeCoordinates
+      }
+    }
+
+    if (this.fitSize) {
+      let maxSize = Math.max(0, this.availableSpaceAt(position, elementMargin, anchorBox, bounds))
+      let sizeProp = this.alignAxis === 'horizontal' ? 'maxHeight' : 'maxWidth'
+      e.setStyle(this.element, { [sizeProp]: maxSize })
+      // Since we may have made the element smaller, we must re-compute its coordinates.
+      elementBox = this.element.getBoundingClientRect()
+      coordinates = this.computeCoordinates(position, elementBox, elementMargin, anchorBox)
+    }
+
+    if (this.shift) {
+      coordinates = this.shiftIntoBounds(coordinates, elementBox, bounds)
+    }
 
+    this.moveTo(coordinates.left, coordinates.top)
+    this.setPosition(position)
+  }
+
+  computeCoordinates(position, elementBox, elementMargin, anchorBox) {
     let left
     let top
 
     switch (this.alignAxis) {
       case 'horizontal': { // position is 'top' or 'bottom'
-        switch (this.position) {
+        switch (position) {
           case 'top':
             top = anchorBox.top - elementMargin.bottom - elementBox.height
             break
@@ -132,7 +197,7 @@ up.Tether = class Tether {
             // ------- |
             //  margin | anchor
         }
-        switch (this.position) {
+        switch (position) {
           case 'left':
             left = anchorBox.left - elementMargin.right - elementBox.width
             break
@@ -147,12 +212,63 @@ up.Tether = class Tether {
     }
 
     if (u.isDefined(left) || u.isDefined(top)) {
-      this.moveTo(left, top)
+      return { left, top }
     } else {
       up.fail('Invalid tether constraints: %o', this.describeConstraints())
     }
   }
 
+  // We keep the element within the visible area of the main viewport.
+  getBounds() {
+    let root = up.viewport.root
+    return { left: 0, top: 0, right: root.clientWidth, bottom: root.clientHeight }
+  }
+
+  // Returns by how many pixels the element would overflow the bounds on the side of the given position.
+  overflowAt(position, { left, top }, elementBox, bounds) {
+    switch (position) {
+      case 'top':
+        return bounds.top - top
+      case 'bottom':
+        return (top + elementBox.height) - bounds.bottom
+      case 'left':
+        return bounds.left - left
+      case 'right':
+        return (left + elementBox.width) - bounds.right
+    }
+  }
+
+  availableSpaceAt(position, elementMargin, anchorBox, bounds) {
+    switch (position) {
+      case 'top':
+        return anchorBox.top - bounds.top - elementMargin.bottom
+      case 'bottom':
+        return bounds.bottom - anchorBox.bottom - elementMargin.top
+      case 'left':
+        return anchorBox.left - bounds.left - elementMargin.right
+      case 'right':
+        return bounds.right - anchorBox.right - elementMargin.left
+    }
+  }
+
+  // Moves the element along the alignment axis. When the element is larger than the bounds,
+  // we prefer to show its start.
+  shiftIntoBounds({ left, top }, elementBox, bounds) {
+    if (this.alignAxis === 'horizontal') {
+      left = Math.max(Math.min(left, bounds.right - elementBox.width), bounds.left)
+    } else {
+      top = Math.max(Math.min(top, bounds.bottom - elementBox.height), bounds.top)
+    }
+    return { left, top }
+  }
+
+  setPosition(position) {
+    if (position !== this.position) {
+      this.position = position
+      this.onPositionChanged?.(position)
+    }
+  }
+
   describeConstraints() {
     return { position: this.position, align: this.align }
   }
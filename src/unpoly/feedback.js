@@ -101,6 +101,10 @@ up.feedback = (function() {
 
   const CLASS_ACTIVE = 'up-active'
   const CLASS_LOADING = 'up-loading'
+  const CLASS_PREVIEW = 'up-preview'
+
+  // Options that make the placeholder overlay look like the overlay we're about to open.
+  const PLACEHOLDER_OVERLAY_KEYS = ['mode', 'size', 'position', 'align', 'collision', 'class', 'backdrop', 'dialog', 'dismissable', 'origin', 'baseLayer', 'openAnimation', 'openDuration', 'openEasing']
   const SELECTOR_LINK = 'a, [up-href]'
 
   function navSelector() {
@@ -341,6 +345,196 @@ up.feedback = (function() {
     }
   }
 
+  /*-
+  Keeps the elements from a `{ progress }` option updated with the progress of the given request.
+
+  @function up.feedback.showProgress
+  @param {up.Request} request
+  @param {string|Element|List<Element>} options.progress
+  @internal
+  */
+  function showProgress(request, { progress, origin }) {
+    if (!progress) return
+
+    let elements = u.isString(progress) ? up.fragment.all(progress, { origin }) : u.wrapList(progress)
+    if (!elements.length) return
+
+    // When a form uploads a large file, the download of the (much smaller) response
+    // would reset the progress. Hence we ignore download progress after we have seen
+    // upload progress.
+    let uploading = false
+
+    let onProgress = (event) => {
+      if (event.request !== request) return
+      if (event.direction === 'upload') {
+        uploading = true
+      } else if (uploading) {
+        return
+      }
+
+      for (let element of elements) {
+        updateProgressElement(element, event.progress)
+      }
+    }
+
+    for (let element of elements) {
+      updateProgressElement(element, 0)
+    }
+
+    u.always(request, up.on('up:request:progress', onProgress))
+  }
+
+  function updateProgressElement(element, progress) {
+    if (element.matches('progress')) {
+      if (u.isDefined(progress)) {
+        element.value = progress * element.max
+      } else {
+        // A <progress> without a [value] is shown as indeterminate.
+        element.removeAttribute('value')
+      }
+    } else {
+      // If the total size is unknown we leave the property unset, so CSS can use a fallback value.
+      element.style.setProperty('--up-progress', progress ?? '')
+    }
+  }
+
+  /*-
+  Fragments that show an [optimistic preview](/up.render#options.preview) while their
+  content is loading are assigned the `.up-preview` class.
+
+  The class is removed when the preview is reverted.
+
+  @selector .up-preview
+  @experimental
+  */
+
+  /*-
+  Applies an optimistic preview from a `{ preview }` option to the targeted elements.
+
+  The caller must revert the preview when the request settles, before the response is rendered.
+  This also reverts the preview when the request fails or is aborted.
+
+  @function up.feedback.showPreview
+  @param {up.Request} request
+  @param {string|Function(Element, Object): Function|undefined} options.preview
+  @return {Function|undefined}
+    A function that reverts the preview.
+  @internal
+  */
+  function showPreview(request, options) {
+    let { preview, origin } = options
+    if (!preview || options.preload) return
+
+    let elements = request.targetElements
+    if (!elements?.length) return
+
+    let undoFns = elements.map((element) => {
+      let undoClass = e.addTemporaryClass(element, CLASS_PREVIEW)
+      let undoPreview
+
+      if (u.isFunction(preview)) {
+        undoPreview = preview(element, { request, renderOptions: options })
+        // Callbacks that don't return an undo function may still return some other value.
+        if (!u.isFunction(undoPreview)) undoPreview = null
+      } else {
+        let template = up.fragment.get(preview, { origin }) || up.fail('Could not find preview template %o', preview)
+        undoPreview = showTemplateContent(element, template)
+      }
+
+      return u.sequence([undoPreview, undoClass])
+    })
+
+    return u.sequence(undoFns)
+  }
+
+  /*-
+  Shows skeleton content from a `{ placeholder }` option while a request is loading.
+
+  When the request opens a new overlay, a placeholder overlay is opened immediately.
+  Otherwise the children of the targeted elements are replaced with the placeholder.
+
+  The caller must remove the placeholder when the request settles, before the response is rendered.
+  This also removes the placeholder when the request fails or is aborted.
+
+  When a [preview](/up.render#options.preview) is also shown, the placeholder replaces the preview's content.
+  The placeholder must then be removed before the preview is reverted.
+
+  @function up.feedback.showPlaceholder
+  @param {up.Request} request
+  @param {string|undefined} options.placeholder
+  @return {Function|undefined}
+    A function that removes the placeholder.
+  @internal
+  */
+  function showPlaceholder(request, options) {
+    let { placeholder, origin } = options
+    if (!placeholder || options.preload) return
+
+    let template = getPlaceholderTemplate(placeholder, origin)
+
+    if (u.wrapList(options.layer)[0] === 'new') {
+      return showPlaceholderOverlay(request, template, options)
+    } else {
+      let undoFns = u.map(request.targetElements, (element) => showTemplateContent(element, template))
+      return u.sequence(undoFns)
+    }
+  }
+
+  function getPlaceholderTemplate(placeholder, origin) {
+    if (/^\s*</.test(placeholder)) {
+      let template = document.createElement('template')
+      template.innerHTML = placeholder
+      return template
+    } else {
+      return up.fragment.get(placeholder, { origin }) || up.fail('Could not find placeholder template %o', placeholder)
+    }
+  }
+
+  function showPlaceholderOverlay(request, template, options) {
+    let placeholderLayer
+
+    up.error.muteUncriticalRejection(up.render({
+      ...u.pick(options, PLACEHOLDER_OVERLAY_KEYS),
+      layer: 'new',
+      content: template.innerHTML,
+      history: false,
+      navigate: false,
+      abort: false,
+      onOpened: (event) => { placeholderLayer = event.layer },
+      // When the user closes the placeholder overlay, they no longer want to see the response.
+      onDismissed: () => request.abort({ reason: 'Placeholder overlay was closed' }),
+    }))
+
+    // The overlay may not open, e.g. when an up:layer:open listener prevents it.
+    if (!placeholderLayer) return
+
+    // The response overlay replaces the placeholder overlay without another animation.
+    options.openAnimation = 'none'
+
+    return function() {
+      if (placeholderLayer.isOpen()) {
+        placeholderLayer.dismiss(':placeholder', { animation: false, preventable: false })
+      }
+    }
+  }
+
+  function showTemplateContent(element, template) {
+    let content = template.matches('template') ? template.content : template
+    let previewNodes = Array.from(content.cloneNode(true).childNodes)
+    let previewElements = u.filter(previewNodes, u.isElement)
+
+    // We keep the original child nodes around so we can restore them
+    // with their compiled state intact.
+    let originalNodes = Array.from(element.childNodes)
+    element.replaceChildren(...previewNodes)
+    previewElements.forEach((previewElement) => up.hello(previewElement))
+
+    return function() {
+      previewElements.forEach((previewElement) => up.syntax.clean(previewElement))
+      element.replaceChildren(...originalNodes)
+    }
+  }
+
   function getActiveElementFromRenderOptions(request) {
     let activeElement = request.origin
     if (activeElement) {
@@ -486,6 +680,9 @@ up.feedback = (function() {
   return {
     config,
     showAroundRequest,
+    showProgress,
+    showPreview,
+    showPlaceholder,
     normalizeURL,
   }
 })()
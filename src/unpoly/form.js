@@ -62,6 +62,37 @@ up.form = (function() {
   @param {string} [config.submitButtonSelectors]
     An array of CSS selectors that represent submit buttons, such as `input[type=submit]`.
 
+  @param {string} [config.dirtyGuardMessage]
+    The confirmation message shown before discarding unsaved changes in a form with [`[up-dirty-guard]`](/form-up-dirty-guard).
+
+    A form may set its own message as the value of its `[up-dirty-guard]` attribute.
+
+  @param {string} [config.autosaveStore='local']
+    Where to keep drafts of forms with [`[up-autosave]`](/form-up-autosave).
+
+    With `'local'` drafts are kept in [`localStorage`](https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage)
+    and survive when the browser is closed.
+    With `'session'` drafts are kept in [`sessionStorage`](https://developer.mozilla.org/en-US/docs/Web/API/Window/sessionStorage)
+    and are only restored within the same tab.
+
+  @param {number} [config.autosaveExpiry=604800000]
+    The number of milliseconds after which a draft is no longer restored.
+
+    Defaults to 7 days.
+
+  @param {string} [config.repeatIndexPlaceholder='__INDEX__']
+    A string in the `<template>` of an [`[up-repeat]`](/up-repeat) container that is replaced
+    with a unique index for every added item.
+
+  @param {boolean} [config.nativeValidation=false]
+    Whether to check the browser's [constraint validation](https://developer.mozilla.org/en-US/docs/Web/HTML/Constraint_validation)
+    before a form is [submitted](/up.submit) or [validated](/up.validate).
+
+    A form may enable or disable this with an [`[up-native-validation]`](/form-up-submit#up-native-validation) attribute.
+
+  @param {Array<string>} [config.validationMessageSelectors]
+    An array of CSS selectors for elements in a [form group](/up-form-group) that show the browser's validation message.
+
   @stable
    */
   const config = new up.Config(() => ({
@@ -77,14 +108,55 @@ up.form = (function() {
     // Date inputs trigger `change` when editing a single date component
     // https://github.com/unpoly/unpoly/issues/336
     changeEvents: (field) => field.matches('input[type=date]') ? ['blur'] : ['change'],
+    dirtyGuardMessage: 'You have unsaved changes. Do you want to discard them?',
+    autosaveStore: 'local',
+    autosaveExpiry: 7 * 24 * 60 * 60 * 1000,
+    repeatIndexPlaceholder: '__INDEX__',
+    nativeValidation: false,
+    validationMessageSelectors: ['[up-validation-message]'],
   }))
 
+  const DRAFT_STORE_KEY = 'up.form.drafts'
+
+  // The params of each form with [up-dirty-guard] when it was compiled.
+  const dirtyBaselines = new WeakMap()
+
+  // A form that is being submitted without Unpoly, causing a full page load.
+  let nativelySubmittedForm
+
+  // The index of the last item added to an [up-repeat] container.
+  let lastRepeatIndex = 0
+
+  // The message elements that show a native validation message for a field.
+  const validationMessageSlots = new WeakMap()
+
   function fullSubmitSelector() {
     return config.submitSelectors.join(',')
   }
 
   function reset() {
+    draftStore().clear()
     config.reset()
+    nativelySubmittedForm = undefined
+    lastRepeatIndex = 0
+  }
+
+  let draftStoreOption
+  let draftStoreInstance
+
+  /*-
+  Returns the store for drafts of forms with `[up-autosave]`.
+
+  @function up.form.draftStore
+  @internal
+  */
+  function draftStore() {
+    if (config.autosaveStore !== draftStoreOption) {
+      draftStoreOption = config.autosaveStore
+      draftStoreInstance = (draftStoreOption === 'session') ? new up.store.Session(DRAFT_STORE_KEY) : new up.store.Local(DRAFT_STORE_KEY)
+    }
+
+    return draftStoreInstance
   }
 
   /*-
@@ -233,9 +305,32 @@ up.form = (function() {
   @stable
   */
   const submit = up.mockable((form, options) => {
-    return up.render(submitOptions(form, options))
+    let renderOptions = submitOptions(form, options)
+    discardDraftWhenSubmitted(form, renderOptions)
+    return up.render(renderOptions)
   })
 
+  function discardDraftWhenSubmitted(form, renderOptions) {
+    form = getForm(form)
+    if (!form.matches('[up-autosave]')) return
+
+    // Build the key before rendering, since a successful submission usually removes the form.
+    let autosave = new up.FormAutosave(form)
+
+    // We discard the draft when a successful response was loaded, but before it is rendered.
+    // When the response renders the same form again, its compiler must not restore the submitted values.
+    let onLoaded = renderOptions.onLoaded
+    renderOptions.onLoaded = function(event) {
+      onLoaded?.(event)
+
+      let { response } = event
+      let fail = u.evalOption(event.renderOptions.fail, response) ?? !response.ok
+      if (!event.defaultPrevented && !fail) {
+        autosave.discard()
+      }
+    }
+  }
+
   /*-
   Parses the [render](/up.render) options that would be used to
   [submit](/up.submit) the given form, but does not render.
@@ -282,6 +377,7 @@ up.form = (function() {
     parser.string('failTarget', { default: up.fragment.tryToTarget(form) })
 
     parser.booleanOrString('disable')
+    parser.boolean('nativeValidation')
 
     // The guardEvent will also be assigned an { renderOptions } property in up.render()
     options.guardEvent ||= up.event.build('up:form:submit', {
@@ -458,6 +554,83 @@ up.form = (function() {
     return u.sequence(containers.map(disableContainer))
   }
 
+  /*-
+  Returns whether the given form has unsaved changes.
+
+  Only forms with an [`[up-dirty-guard]`](/form-up-dirty-guard) attribute track changes.
+  Their params are compared with the params when the form was [compiled](/up.compiler).
+  For other forms this function always returns `false`.
+
+  @function up.form.isDirty
+  @param {Element|jQuery|string} form
+    The form, or any element within the form.
+  @return {boolean}
+  @experimental
+  */
+  function isDirty(form) {
+    form = getForm(form)
+    let baseline = dirtyBaselines.get(form)
+    return u.isDefined(baseline) && dirtySignature(form) !== baseline
+  }
+
+  function dirtySignature(form) {
+    let entries = up.Params.fromForm(form).toArray()
+    // We cannot compare File values by identity, since a file input
+    // returns a new File object for every read.
+    return JSON.stringify(entries.map(({ name, value }) => {
+      return [name, u.isString(value) ? value : [value.name, value.size, value.lastModified]]
+    }))
+  }
+
+  function findDirtyForms(elements, { origin } = {}) {
+    let forms = u.flatMap(u.wrapList(elements), (element) => e.subtree(element, 'form[up-dirty-guard]'))
+
+    // Submitting or validating the form is how the user saves their changes.
+    // Hence we don't guard a render caused by an element within the form.
+    return forms.filter((form) => isDirty(form) && !(origin && form.contains(origin)))
+  }
+
+  /*-
+  Asks the user to confirm that changes in dirty forms within the given elements may be discarded.
+
+  Returns `true` if there are no dirty forms, or if the user has confirmed.
+
+  A background render (like [polling](/up-poll)) will not discard changes, but will
+  also not interrupt the user with a confirmation prompt.
+
+  @function up.form.confirmDiscard
+  @param {Element|List<Element>} elements
+  @param {Element} [options.origin]
+  @param {boolean} [options.background]
+  @param {boolean} [options.dirtyGuard]
+    Pass `false` to discard changes without asking.
+  @return {boolean}
+  @internal
+  */
+  function confirmDiscard(elements, options = {}) {
+    if (options.dirtyGuard === false) return true
+
+    let dirtyForms = findDirtyForms(elements, options)
+    if (!dirtyForms.length) return true
+
+    if (options.background) {
+      up.puts('up.render()', 'Will not discard unsaved changes in the background')
+      return false
+    }
+
+    let message = e.booleanOrStringAttr(dirtyForms[0], 'up-dirty-guard')
+    return window.confirm(u.isString(message) ? message : config.dirtyGuardMessage)
+  }
+
+  function onBeforeUnload(event) {
+    let dirtyForms = findDirtyForms(document.body).filter((form) => form !== nativelySubmittedForm)
+    if (dirtyForms.length) {
+      // Browsers show their own message and ignore any text we set.
+      event.preventDefault()
+      event.returnValue = ''
+    }
+  }
+
   // This was extracted from submitOptions().
   // Validation needs to submit a form without options intended for the final submission,
   // like [up-scroll], [up-confirm], etc.
@@ -881,6 +1054,14 @@ up.form = (function() {
     Defaults to the form's `[up-watch-feedback]` or `[up-feedback]` attribute.
   @param {string|Element|jQuery} [options.formGroup = true]
     TODO
+  @param {boolean} [options.nativeValidation]
+    Whether to check the browser's constraint validation before sending the validation request.
+
+    Fields that are invalid are not validated on the server. Instead their validation message
+    is shown in their [form group](/up-validation-message).
+    When all fields are invalid, the promise rejects with an `up.AbortError`.
+
+    Defaults to the form's [`[up-native-validation]`](/form-up-submit#up-native-validation) attribute.
   @return {up.RenderJob}
     A promise that fulfills when the server-side validation is received
     and the form was updated.
@@ -954,38 +1135,21 @@ up.form = (function() {
   */
 
   function switcherValues(field) {
-    let value
+    let values
     let meta
 
-    if (field.matches('input[type=checkbox]')) {
-      if (field.checked) {
-        value = field.value
-        meta = ':checked'
-      } else {
-        meta = ':unchecked'
-      }
-    } else if (field.matches('input[type=radio]')) {
-      const form = getContainer(field)
-      const groupName = field.getAttribute('name')
-      const checkedButton = form.querySelector(`input[type=radio]${e.attrSelector('name', groupName)}:checked`)
-      if (checkedButton) {
-        meta = ':checked'
-        value = checkedButton.value
-      } else {
-        meta = ':unchecked'
-      }
+    if (field.matches('input[type=checkbox], input[type=radio]')) {
+      // A group of checkboxes or radio buttons with the same name is a single switcher.
+      // The values of a checkbox group are all values that are checked.
+      const buttons = field.name ? getContainer(field).querySelectorAll(`input[type=${field.type}]${e.attrSelector('name', field.name)}`) : [field]
+      values = u.map(u.filter(buttons, 'checked'), 'value')
+      meta = values.length ? ':checked' : ':unchecked'
     } else {
-      value = field.value
+      values = u.filter([field.value], u.isPresent)
     }
 
-    const values = []
-    if (u.isPresent(value)) {
-      values.push(value)
-      values.push(':present')
-    } else {
-      values.push(':blank')
-    }
-    if (u.isPresent(meta)) {
+    values.push(values.length ? ':present' : ':blank')
+    if (meta) {
       values.push(meta)
     }
     return values
@@ -1011,46 +1175,136 @@ up.form = (function() {
     const targetSelector = options.target || options.target || switcher.getAttribute('up-switch')
     const form = getContainer(switcher)
     targetSelector || up.fail("No switch target given for %o", switcher)
-    const fieldValues = switcherValues(switcher)
 
     for (let target of up.fragment.all(form, targetSelector)) {
-      switchTarget(target, fieldValues)
+      switchTarget(target)
     }
   }
 
-  const switchTarget = up.mockable(function(target, fieldValues) {
-    let show
-    fieldValues ||= switcherValues(findSwitcherForTarget(target))
+  // Each effect is controlled by an attribute that activates the effect for the given values,
+  // and an optional attribute that deactivates the effect for the given values.
+  const SWITCH_EFFECTS = [
+    { activeAttr: 'up-show-for', inactiveAttr: 'up-hide-for', apply: (target, active) => e.toggle(target, active) },
+    { activeAttr: 'up-enable-for', inactiveAttr: 'up-disable-for', apply: (target, active) => setSwitchedProperty(target, 'disabled', !active) },
+    { activeAttr: 'up-require-for', apply: (target, active) => setSwitchedProperty(target, 'required', active) },
+    { activeAttr: 'up-attr-for', apply: toggleSwitchedAttrs },
+  ]
+
+  const SWITCH_EFFECT_ATTRS = u.compact(u.flatMap(SWITCH_EFFECTS, ({ activeAttr, inactiveAttr }) => [activeAttr, inactiveAttr]))
+
+  const switchTarget = up.mockable(function(target) {
+    const state = switchState(target)
+    let hasEffect = false
+
+    for (let { activeAttr, inactiveAttr, apply } of SWITCH_EFFECTS) {
+      let inactiveTokens = inactiveAttr && target.getAttribute(inactiveAttr)
+      let activeTokens = target.getAttribute(activeAttr)
+
+      if (inactiveTokens) {
+        apply(target, !switchTokensMatch(inactiveTokens, state))
+      } else if (activeTokens) {
+        apply(target, switchTokensMatch(activeTokens, state))
+      } else {
+        continue
+      }
 
-    let hideValues = target.getAttribute('up-hide-for')
-    if (hideValues) {
-      hideValues = parseSwitchTokens(hideValues)
-      show = u.intersect(fieldValues, hideValues).length === 0
-    } else {
-      let showValues = target.getAttribute('up-show-for')
-      // If the target has neither up-show-for or up-hide-for attributes,
-      // assume the user wants the target to be visible whenever anything
-      // is checked or entered.
-      showValues = showValues ? parseSwitchTokens(showValues) : [':present', ':checked']
-      show = u.intersect(fieldValues, showValues).length > 0
+      hasEffect = true
+    }
+
+    // If the target has no switching attributes, assume the user wants the target
+    // to be visible whenever anything is checked or entered.
+    if (!hasEffect) {
+      e.toggle(target, switchTokensMatch([':present', ':checked'], state))
     }
 
-    e.toggle(target, show)
     target.classList.add('up-switched')
   })
 
+  // The target may be a field, or a container like a <fieldset>.
+  function setSwitchedProperty(target, property, value) {
+    for (let field of findFields(target)) {
+      field[property] = value
+    }
+  }
+
+  function toggleSwitchedAttrs(target, active) {
+    const attrs = u.parseTokens(target.getAttribute('up-switch-attr') || up.fail('Missing [up-switch-attr] on %o', target))
+    for (let attr of attrs) {
+      e.toggleAttr(target, attr, '', active)
+    }
+  }
+
+  // Returns the values of all fields that switch the given target.
+  function switchState(target) {
+    const valuesByName = {}
+    for (let switcher of findSwitchersForTarget(target)) {
+      valuesByName[switcher.name] = switcherValues(switcher)
+    }
+    return {
+      values: u.uniq(u.flatten(Object.values(valuesByName))),
+      valuesByName,
+    }
+  }
+
+  function switchTokensMatch(tokens, state) {
+    tokens = u.isString(tokens) ? parseSwitchTokens(tokens) : tokens
+    return u.some(tokens, (token) => switchTokenMatches(String(token), state))
+  }
+
+  // A token may be a literal value like "admin", or one or more conditions
+  // joined with "&", like "role=admin&age>=18".
+  function switchTokenMatches(token, state) {
+    const conditions = u.map(token.split('&'), (condition) => parseSwitchCondition(condition, state))
+    if (u.every(conditions, u.isGiven)) {
+      return u.every(conditions, (condition) => condition())
+    } else {
+      return u.contains(state.values, token)
+    }
+  }
+
+  // Parses a condition like "role=admin", "age>=18" or ">=18" into a function.
+  // Returns undefined if the given string is not a condition.
+  function parseSwitchCondition(condition, state) {
+    const match = condition.match(/^([^=<>]*)(>=|<=|=|>|<)(.+)$/)
+    if (!match) return
+
+    const [_, name, operator, operand] = match
+    const values = name ? state.valuesByName[name] : state.values
+    // Without a field name, an "=" operator is part of a literal value.
+    if (!values || (operator === '=' && !name)) return
+
+    if (operator === '=') {
+      return () => u.contains(values, operand)
+    } else if (isSwitchNumber(operand)) {
+      return () => u.some(values, (value) => isSwitchNumber(value) && compareNumbers(Number(value), operator, Number(operand)))
+    }
+  }
+
+  function isSwitchNumber(value) {
+    return /^\s*-?\d+(\.\d+)?\s*$/.test(value)
+  }
+
+  function compareNumbers(a, operator, b) {
+    switch (operator) {
+      case '>': return a > b
+      case '>=': return a >= b
+      case '<': return a < b
+      case '<=': return a <= b
+    }
+  }
+
   function parseSwitchTokens(str) {
     return u.parseTokens(str, { json: true })
   }
 
-  function findSwitcherForTarget(target) {
+  function findSwitchersForTarget(target) {
     const form = getContainer(target)
     const switchers = form.querySelectorAll('[up-switch]')
-    const switcher = u.find(switchers, function(switcher) {
+    const targetSwitchers = u.filter(switchers, function(switcher) {
       const targetSelector = switcher.getAttribute('up-switch')
       return target.matches(targetSelector)
     })
-    return switcher || up.fail('Could not find [up-switch] field for %o', target)
+    return targetSwitchers.length ? targetSwitchers : up.fail('Could not find [up-switch] field for %o', target)
   }
 
   function getForm(elementOrSelector, options = {}) {
@@ -1168,6 +1422,45 @@ up.form = (function() {
   The `<form>` element will be assigned a CSS class [`.up-active`](/form.up-active) while
   the submission is loading.
 
+  ### Showing upload progress
+
+  When a form uploads large files, you may show the upload progress in a `<progress>` element.
+  Set an `[up-progress]` attribute with a selector for that element:
+
+  ```html
+  <form method="post" action="/documents" enctype="multipart/form-data" up-submit up-progress="#upload-progress">
+    <input type="file" name="file">
+    <progress id="upload-progress" value="0"></progress>
+  </form>
+  ```
+
+  While the file is uploading, Unpoly will update the element's `[value]`.
+  An element other than `<progress>` gets a `--up-progress` CSS property with a value between `0` and `1`:
+
+  ```css
+  .upload-bar {
+    width: calc(var(--up-progress, 0) * 100%);
+  }
+  ```
+
+  To run code whenever bytes are uploaded, set an [`[up-on-progress]`](/a-up-follow#up-on-progress) attribute
+  or observe the `up:request:progress` event.
+
+  ### Keeping submissions while offline
+
+  When the user submits a form without a network connection, the submission fails
+  with an [offline error](/up:fragment:offline).
+
+  To keep the submission and send it again when the connection comes back, set an `[up-offline=queue]` attribute:
+
+  ```html
+  <form method="post" action="/reports" up-submit up-offline="queue">
+    ...
+  </form>
+  ```
+
+  See [`up.network.outbox`](/up.network.outbox) for details.
+
   ### Short notation
 
   You may omit the `[up-submit]` attribute if the form has one of the following attributes:
@@ -1196,6 +1489,28 @@ up.form = (function() {
 
     @see failed-responses
 
+  @param [up-native-validation]
+    Whether to check the browser's [constraint validation](https://developer.mozilla.org/en-US/docs/Web/HTML/Constraint_validation)
+    before submitting or [validating](/input-up-validate) the form.
+
+    When fields are invalid, the form is not submitted. Instead an `up:form:invalid` event is emitted
+    and the validation messages are shown in each group's [`[up-validation-message]`](/up-validation-message) element.
+    Server-side validation is skipped for fields that are invalid.
+
+    Set a [`[novalidate]`](https://developer.mozilla.org/en-US/docs/Web/HTML/Element/form#novalidate) attribute
+    to prevent the browser from showing its own validation bubbles.
+
+    Defaults to `up.form.config.nativeValidation`.
+
+  @param [up-content-type]
+    The format in which to encode the form's params.
+
+    Set this to `application/json` to send the params as a JSON object.
+    Field names in bracket notation like `user[email]` are expanded into [nested objects](/up.Params.prototype.toNestedObject).
+    A form with file inputs cannot be sent as JSON.
+
+    Defaults to the form's `[enctype]` attribute.
+
   @param [up-disable]
     Whether to [disable fields](/disable-option) while the form is submitting.
 
@@ -1548,6 +1863,77 @@ up.form = (function() {
   </div>
   ```
 
+  ### Example: Checkbox group
+
+  Checkboxes with the same name are treated as a single switching field.
+  A value matches when the checkbox with that value is checked:
+
+  ```html
+  <input type="checkbox" name="topics[]" value="news" up-switch=".target">
+  <input type="checkbox" name="topics[]" value="sports" up-switch=".target">
+
+  <div class="target" up-show-for="sports">
+    shown while "sports" is checked, regardless of other checkboxes
+  </div>
+  ```
+
+  ### Numeric comparisons
+
+  Values may be compared as numbers using `>`, `>=`, `<` or `<=`:
+
+  ```html
+  <input type="number" name="quantity" up-switch=".target">
+
+  <div class="target" up-show-for=">=10">
+    Bulk discounts apply
+  </div>
+  ```
+
+  ### Multiple switching fields
+
+  An element may be switched by more than one field.
+  To match against a specific field, prefix the condition with the field's `[name]`.
+  Join conditions with `&` to require all of them:
+
+  ```html
+  <select name="role" up-switch=".target">...</select>
+  <input type="number" name="age" up-switch=".target">
+
+  <div class="target" up-show-for="role=admin&age>=18">
+    shown for adult admins
+  </div>
+  ```
+
+  Without a field name, a value matches if any switching field has that value.
+
+  ### Other effects
+
+  Besides showing or hiding elements, switching fields can control other properties of the target elements:
+
+  | Attribute                                    | Effect                                                         |
+  |----------------------------------------------|----------------------------------------------------------------|
+  | [`[up-show-for]`](/up-show-for)              | Only shows the target for the given values                     |
+  | [`[up-hide-for]`](/up-hide-for)              | Hides the target for the given values                          |
+  | [`[up-enable-for]`](/up-enable-for)          | Only enables the target fields for the given values            |
+  | [`[up-disable-for]`](/up-disable-for)        | Disables the target fields for the given values                |
+  | [`[up-require-for]`](/up-require-for)        | Makes the target fields `[required]` for the given values      |
+  | [`[up-attr-for]`](/up-attr-for)              | Sets the attributes in `[up-switch-attr]` for the given values |
+
+  A target may use multiple effects:
+
+  ```html
+  <select name="delivery" up-switch=".address">
+    <option value="pickup">Pickup</option>
+    <option value="shipping">Shipping</option>
+  </select>
+
+  <fieldset class="address" up-enable-for="shipping">
+    <input name="street" class="address" up-require-for="shipping">
+  </fieldset>
+  ```
+
+  Disabled fields are not included in the submitted params.
+
   @selector input[up-switch]
   @param up-switch
     A CSS selector for elements whose visibility depends on this field's value.
@@ -1579,6 +1965,68 @@ up.form = (function() {
     If your values might contain spaces, you may also serialize them as a JSON array.
   @stable
   */
+
+  /*-
+  Only enables this field if an input field with [`[up-switch]`](/input-up-switch) has one of the given values.
+
+  When this element is a container like a `<fieldset>`, all fields within are enabled or disabled.
+
+  See [`input[up-switch]`](/input-up-switch) for more documentation and examples.
+
+  @selector [up-enable-for]
+  @param [up-enable-for]
+    A space-separated list of input values for which this field should be enabled.
+  @experimental
+  */
+
+  /*-
+  Disables this field if an input field with [`[up-switch]`](/input-up-switch) has one of the given values.
+
+  When this element is a container like a `<fieldset>`, all fields within are enabled or disabled.
+
+  See [`input[up-switch]`](/input-up-switch) for more documentation and examples.
+
+  @selector [up-disable-for]
+  @param [up-disable-for]
+    A space-separated list of input values for which this field should be disabled.
+  @experimental
+  */
+
+  /*-
+  Makes this field [`[required]`](https://developer.mozilla.org/en-US/docs/Web/HTML/Attributes/required)
+  if an input field with [`[up-switch]`](/input-up-switch) has one of the given values.
+
+  When this element is a container, all fields within are required.
+
+  See [`input[up-switch]`](/input-up-switch) for more documentation and examples.
+
+  @selector [up-require-for]
+  @param [up-require-for]
+    A space-separated list of input values for which this field should be required.
+  @experimental
+  */
+
+  /*-
+  Sets attributes on this element if an input field with [`[up-switch]`](/input-up-switch) has one of the given values.
+
+  The attributes are removed for other values.
+
+  ### Example
+
+  ```html
+  <input type="checkbox" name="locked" up-switch=".title">
+  <input name="title" class="title" up-switch-attr="readonly" up-attr-for=":checked">
+  ```
+
+  See [`input[up-switch]`](/input-up-switch) for more documentation and examples.
+
+  @selector [up-attr-for]
+  @param [up-attr-for]
+    A space-separated list of input values for which the attributes should be set.
+  @param up-switch-attr
+    A space-separated list of attribute names to set.
+  @experimental
+  */
   up.compiler('[up-switch]', (switcher) => {
     switchTargets(switcher)
   })
@@ -1587,7 +2035,7 @@ up.form = (function() {
     switchTargets(switcher)
   })
 
-  up.compiler('[up-show-for]:not(.up-switched), [up-hide-for]:not(.up-switched)', (element) => {
+  up.compiler(u.map(SWITCH_EFFECT_ATTRS, (attr) => `[${attr}]:not(.up-switched)`).join(', '), (element) => {
     switchTarget(element)
   })
 
@@ -1776,6 +2224,688 @@ up.form = (function() {
   */
   up.compiler('[up-autosubmit]', (formOrField) => autosubmit(formOrField))
 
+  /*-
+  Asks the user for confirmation before unsaved changes in this form are discarded.
+
+  When the form is compiled, Unpoly remembers its [params](/up.Params.fromForm).
+  When the params have changed, the form is considered dirty (see `up.form.isDirty()`).
+
+  The user is then asked to confirm when:
+
+  - A fragment update would replace or destroy the form, e.g. when following a link.
+  - An overlay containing the form is [dismissed](/closing-overlays).
+  - The user navigates back or forward in the browser history.
+  - The user leaves the page with a full page load.
+
+  Submitting or validating the form itself does not require confirmation.
+
+  ### Example
+
+  ```html
+  <form method="post" action="/articles" up-submit up-dirty-guard>
+    <textarea name="text"></textarea>
+  </form>
+  ```
+
+  To use a custom confirmation message, set it as the attribute value:
+
+  ```html
+  <form method="post" action="/articles" up-submit up-dirty-guard="Discard your draft?">
+    ...
+  </form>
+  ```
+
+  Browsers will ignore the custom message when the user leaves the page with a full page load.
+
+  To render without asking, pass a [`{ dirtyGuard: false }`](/up.render#options.dirtyGuard) option.
+
+  @selector form[up-dirty-guard]
+  @param [up-dirty-guard]
+    A confirmation message to show before discarding unsaved changes.
+
+    Defaults to `up.form.config.dirtyGuardMessage`.
+  @experimental
+  */
+  up.compiler('form[up-dirty-guard]', function(form) {
+    dirtyBaselines.set(form, dirtySignature(form))
+
+    let wasDirty = false
+
+    return up.on(form, 'input change', function() {
+      let dirty = isDirty(form)
+      if (dirty && !wasDirty) {
+        up.emit(form, 'up:form:dirty', { log: 'Form has unsaved changes' })
+      }
+      wasDirty = dirty
+    })
+  })
+
+  /*-
+  This event is [emitted](/up.emit) when a form with [`[up-dirty-guard]`](/form-up-dirty-guard)
+  gets unsaved changes.
+
+  The event is emitted again when the form has changes after it was changed back to its original params.
+
+  @event up:form:dirty
+  @param {Element} event.target
+    The form with unsaved changes.
+  @experimental
+  */
+
+  /*-
+  Continuously saves a draft of the form's field values while the user is editing.
+
+  When the same form is [compiled](/up.compiler) again, e.g. after a reload, a crash or when
+  the user navigates back in history, the draft values are restored.
+  Before restoring, an `up:form:draft:restore` event is emitted.
+
+  The draft is discarded when a successful [submission](/up.submit) has loaded, before the response is rendered.
+  Drafts that are older than `up.form.config.autosaveExpiry` are not restored.
+
+  ### Example
+
+  ```html
+  <form method="post" action="/tickets/5/replies" up-submit up-autosave>
+    <textarea name="text"></textarea>
+  </form>
+  ```
+
+  ### Identifying forms
+
+  Drafts are stored by the form's `[action]` and `[up-id]` attribute.
+  When multiple forms on a page share an action, give each form a unique `[up-id]`.
+
+  ### Excluded fields
+
+  The values of hidden, password and file fields are never stored.
+  To exclude other fields, set an `[up-autosave=false]` attribute on them.
+
+  ### Where drafts are stored
+
+  By default drafts are kept in `localStorage`, which other scripts on the same origin can read.
+  Also drafts remain on the device until they are submitted or expire.
+  To only keep drafts for the current tab, configure `up.form.config.autosaveStore = 'session'`.
+
+  @selector form[up-autosave]
+  @param [up-watch-delay]
+    The number of milliseconds to wait after a change before the draft is saved.
+  @experimental
+  */
+  up.compiler('form[up-autosave]', function(form) {
+    let autosave = new up.FormAutosave(form)
+    autosave.start()
+    return () => autosave.stop()
+  })
+
+  /*-
+  This event is [emitted](/up.emit) before a draft of a form with [`[up-autosave]`](/form-up-autosave)
+  is restored.
+
+  The event is emitted on the form when it is compiled.
+  No event is emitted when the form already shows the draft values.
+
+  ### Asking before restoring
+
+  Listeners may prevent the event to not restore the draft immediately,
+  and instead let the user decide:
+
+  ```js
+  up.on('up:form:draft:restore', function(event) {
+    event.preventDefault()
+
+    if (confirm('Restore your draft from ' + event.savedAt.toLocaleString() + '?')) {
+      event.restore()
+    } else {
+      event.discard()
+    }
+  })
+  ```
+
+  ### Change events for restored fields
+
+  Fields that change their value when a draft is restored emit a `change` event
+  with a `{ draftRestored: true }` property. This lets features like [`[up-switch]`](/input-up-switch)
+  react to the restored values.
+
+  Watchers like [`[up-autosubmit]`](/form-up-autosubmit), [`[up-validate]`](/input-up-validate) and `up.watch()`
+  ignore these events, so a restored draft is never submitted or validated.
+
+  @event up:form:draft:restore
+  @param {Element} event.target
+    The form.
+  @param {up.Params} event.params
+    The stored draft values.
+  @param {Date} event.savedAt
+    The time when the draft was saved.
+  @param {Function()} event.restore
+    Restores the draft values into the form.
+
+    You may call this function at a later time, e.g. after a prevented event.
+  @param {Function()} event.discard
+    Deletes the draft.
+  @param event.preventDefault()
+    Prevents the draft from being restored now.
+  @experimental
+  */
+
+  function isNativeValidation(form, options = {}) {
+    return options.nativeValidation ?? e.booleanAttr(form, 'up-native-validation') ?? config.nativeValidation
+  }
+
+  function isNativelyInvalid(field) {
+    // Fields that are disabled or hidden inputs are barred from constraint validation.
+    return field.willValidate && !field.validity.valid
+  }
+
+  /*-
+  Checks the browser's [constraint validation](https://developer.mozilla.org/en-US/docs/Web/HTML/Constraint_validation)
+  for the given fields.
+
+  When fields are invalid, an `up:form:invalid` event is emitted on the form.
+  Unless the event is prevented, the browser's validation messages are shown in
+  the [`[up-validation-message]`](/up-validation-message) element of each field's [form group](/up-form-group).
+
+  @function up.form.checkValidity
+  @param {Element|List<Element>} elements
+    The form, a form group or a list of fields.
+  @param {boolean} [options.focus=false]
+    Whether to focus the first invalid field.
+  @return {boolean}
+    Whether all fields are valid.
+  @experimental
+  */
+  function checkValidity(elements, options = {}) {
+    let fields = u.flatMap(u.wrapList(elements), findFields)
+    let invalidFields = u.filter(fields, isNativelyInvalid)
+
+    for (let field of fields) {
+      if (!isNativelyInvalid(field)) {
+        hideValidationMessage(field)
+      }
+    }
+
+    if (!invalidFields.length) return true
+
+    let form = getForm(invalidFields[0])
+    let event = up.emit(form, 'up:form:invalid', { fields: invalidFields, log: ['Form has %d invalid field(s)', invalidFields.length] })
+
+    if (!event.defaultPrevented) {
+      let fieldsWithoutSlot = u.reject(invalidFields, showValidationMessage)
+      // Fall back to the browser's validation bubble. It can only show one bubble at a time.
+      fieldsWithoutSlot[0]?.reportValidity()
+
+      if (options.focus && !fieldsWithoutSlot.length) {
+        up.focus(invalidFields[0], { force: true })
+      }
+    }
+
+    return false
+  }
+
+  function findValidationMessageSlot(field) {
+    let group = findGroup(field)
+    // A field without a form group would show its message in a slot that belongs to another field.
+    if (!group || group.matches('form')) return
+    return group.querySelector(config.validationMessageSelectors.join(','))
+  }
+
+  function showValidationMessage(field) {
+    let slot = findValidationMessageSlot(field)
+    if (slot) {
+      slot.textContent = field.validationMessage
+      validationMessageSlots.set(field, slot)
+      return true
+    }
+  }
+
+  function hideValidationMessage(field) {
+    let slot = validationMessageSlots.get(field)
+    if (slot) {
+      slot.textContent = ''
+      validationMessageSlots.delete(field)
+    }
+  }
+
+  /*-
+  An element in a [form group](/up-form-group) that shows the browser's validation message for the group's field.
+
+  Messages are only shown when [native validation](/form-up-submit#up-native-validation) is enabled.
+
+  ### Example
+
+  ```html
+  <form up-submit up-native-validation novalidate>
+    <div up-form-group>
+      <label for="email">E-mail</label>
+      <input type="email" name="email" id="email" required>
+      <div class="error" up-validation-message></div>
+    </div>
+  </form>
+  ```
+
+  The message is removed when the field becomes valid.
+
+  You may configure other selectors in `up.form.config.validationMessageSelectors`.
+
+  @selector [up-validation-message]
+  @experimental
+  */
+
+  /*-
+  This event is [emitted](/up.emit) when [native validation](/form-up-submit#up-native-validation)
+  finds invalid fields before a form is submitted or validated.
+
+  The submission or server-side validation is not sent.
+
+  ### Custom error rendering
+
+  Listeners may prevent the event to render validation messages themselves:
+
+  ```js
+  up.on('up:form:invalid', function(event) {
+    event.preventDefault()
+
+    for (let field of event.fields) {
+      field.classList.add('is-invalid')
+    }
+  })
+  ```
+
+  @event up:form:invalid
+  @param {Element} event.target
+    The form.
+  @param {Array<Element>} event.fields
+    The invalid fields.
+
+    Each field has a [`validationMessage`](https://developer.mozilla.org/en-US/docs/Web/API/HTMLInputElement/validationMessage)
+    property with the browser's message.
+  @param event.preventDefault()
+    Prevents Unpoly from showing validation messages.
+  @experimental
+  */
+
+  up.on('up:form:submit', function(event, form) {
+    if (isNativeValidation(form, event.renderOptions) && !checkValidity(form, { focus: true })) {
+      event.preventDefault()
+    }
+  })
+
+  // Remove a validation message as soon as the user has fixed the field.
+  up.on('change', function(event) {
+    if (validationMessageSlots.has(event.target) && !isNativelyInvalid(event.target)) {
+      hideValidationMessage(event.target)
+    }
+  })
+
+  function getRepeatContainer(element) {
+    let selector = element.getAttribute('up-repeat-add')
+    let container = selector ? up.fragment.get(selector, { origin: element }) : element.closest('[up-repeat]')
+    return container || up.fail('Could not find [up-repeat] container for %o', element)
+  }
+
+  function getRepeatTemplate(container) {
+    let selector = container.getAttribute('up-repeat')
+    let template = selector ? up.fragment.get(selector, { origin: container }) : container.querySelector(':scope > template')
+    return template || up.fail('Could not find <template> for %o', container)
+  }
+
+  // Indexes must be unique within the form, even after items have been removed.
+  // Since the form may already contain items from the server, we base indexes on the current time.
+  function nextRepeatIndex() {
+    return lastRepeatIndex = Math.max(Date.now(), lastRepeatIndex + 1)
+  }
+
+  // The number of [up-repeat] containers around the given container.
+  // A nested container rewrites a later index in names like "items[0][parts][1][name]".
+  function repeatDepth(container) {
+    let depth = 0
+    let ancestor = container
+    while ((ancestor = ancestor.parentElement?.closest('[up-repeat]'))) depth++
+    return depth
+  }
+
+  // Replaces the index at the given depth, e.g. the "0" in "items[0][name]" or "items_0_name".
+  function rewriteRepeatIndex(value, pattern, depth, index) {
+    let count = 0
+    return value.replace(pattern, (match, oldIndex) => (count++ === depth) ? match.replace(oldIndex, index) : match)
+  }
+
+  // Templates may be copied from an existing item, with indexed names like "items[0][name]".
+  // We rewrite these indexes so the new item does not overwrite the existing item's params.
+  // Matching [id] and [for] attributes like "items_0_name" are rewritten with the same index.
+  function rewriteRepeatIndexes(item, depth, index) {
+    for (let element of [item, ...item.querySelectorAll('[name], [id], [for]')]) {
+      for (let [attr, pattern] of [['name', /\[(\d+)\]/g], ['id', /_(\d+)(?=_|$)/g], ['for', /_(\d+)(?=_|$)/g]]) {
+        let value = element.getAttribute(attr)
+        if (value) {
+          element.setAttribute(attr, rewriteRepeatIndex(value, pattern, depth, index))
+        }
+      }
+    }
+  }
+
+  /*-
+  Adds a new item to a container with [`[up-repeat]`](/up-repeat).
+
+  The item is cloned from the container's `<template>`.
+  Every occurrence of `up.form.config.repeatIndexPlaceholder` in the template is replaced with a unique index.
+  Numeric indexes in field names, like the `0` in `items[0][name]`, are also replaced with that index.
+
+  The new item is [compiled](/up.hello).
+
+  @function up.form.addRepeatItem
+  @param {Element|string} container
+    The `[up-repeat]` container.
+  @return {Element}
+    The new item.
+  @experimental
+  */
+  function addRepeatItem(container) {
+    container = up.fragment.get(container)
+    let template = getRepeatTemplate(container)
+
+    let index = String(nextRepeatIndex())
+    let html = template.innerHTML.replaceAll(config.repeatIndexPlaceholder, index)
+    // We parse with a <template> so we can also repeat elements like <tr>.
+    let parser = document.createElement('template')
+    parser.innerHTML = html.trim()
+    let item = parser.content.firstElementChild || up.fail('<template> for %o has no element', container)
+    rewriteRepeatIndexes(item, repeatDepth(container), index)
+
+    if (template.parentElement === container) {
+      template.before(item)
+    } else {
+      container.append(item)
+    }
+
+    up.hello(item)
+    up.emit(item, 'up:form:repeat:added', { log: ['Added item to %o', container] })
+    return item
+  }
+
+  /*-
+  Removes an item from a container with [`[up-repeat]`](/up-repeat).
+
+  When the item has a field named `*[_destroy]`, the item is only hidden and the field is set to `1`.
+  This way the server can delete the record that the item represents.
+  The item's other visible fields are disabled, so their constraints no longer prevent the form from being submitted.
+  Otherwise the item is [destroyed](/up.destroy).
+
+  @function up.form.removeRepeatItem
+  @param {Element} element
+    The item, or any element within the item.
+  @experimental
+  */
+  function removeRepeatItem(element) {
+    let container = element.closest('[up-repeat]') || up.fail('Could not find [up-repeat] container for %o', element)
+    let item = u.find(container.children, (child) => child.contains(element))
+
+    let destroyField = item.querySelector('[name$="[_destroy]"]')
+    if (destroyField) {
+      if (destroyField.matches('input[type=checkbox]')) {
+        destroyField.checked = true
+      } else {
+        destroyField.value = '1'
+      }
+      e.hide(item)
+
+      // A hidden field with a constraint like [required] would block the form submission.
+      // Hidden inputs like the record's [id] are never validated, and are still submitted.
+      for (let field of findFields(item)) {
+        if (field !== destroyField && !field.matches('input[type=hidden]')) {
+          field.disabled = true
+        }
+      }
+
+      // Let dependent behavior like [up-dirty-guard] or [up-autosave] see the change.
+      up.emit(destroyField, 'change', { log: false })
+    } else {
+      up.destroy(item)
+    }
+
+    up.emit(container, 'up:form:repeat:removed', { item, log: ['Removed item from %o', container] })
+  }
+
+  /*-
+  A container for a list of repeatable form items, e.g. for nested records.
+
+  New items are cloned from a `<template>` with a button with [`[up-repeat-add]`](/up-repeat-add).
+  Items can be removed with a button with [`[up-repeat-remove]`](/up-repeat-remove).
+
+  ### Example
+
+  ```html
+  <form method="post" action="/orders">
+    <div id="items" up-repeat>
+      <div class="item">
+        <input type="hidden" name="order[items_attributes][0][id]" value="31">
+        <input type="hidden" name="order[items_attributes][0][_destroy]" value="0">
+        <input name="order[items_attributes][0][name]" value="Pencil">
+        <button type="button" up-repeat-remove>Remove</button>
+      </div>
+
+      <template>
+        <div class="item">
+          <input name="order[items_attributes][__INDEX__][name]">
+          <button type="button" up-repeat-remove>Remove</button>
+        </div>
+      </template>
+    </div>
+
+    <button type="button" up-repeat-add>Add item</button>
+  </form>
+  ```
+
+  Every item is a direct child of the `[up-repeat]` container.
+
+  ### Indexes
+
+  When an item is added, every `__INDEX__` in the template is replaced with a unique index.
+  This also applies to attributes like `[id]`, `[for]` or [`[up-switch]`](/input-up-switch),
+  so you can refer to elements within the same item:
+
+  ```html
+  <template>
+    <div class="item">
+      <select name="items[__INDEX__][kind]" up-switch=".item-__INDEX__-details">...</select>
+      <div class="item-__INDEX__-details" up-show-for="custom">...</div>
+    </div>
+  </template>
+  ```
+
+  You may configure the placeholder in `up.form.config.repeatIndexPlaceholder`.
+
+  Instead of a placeholder, the template may also use the indexed names of an existing item, like `items[0][name]`.
+  The index is then rewritten to a unique index. This also rewrites `[id]` and `[for]` attributes
+  like `items_0_name`. In a nested `[up-repeat]` container, the index for the nesting level is rewritten,
+  e.g. the `1` in `items[0][parts][1][name]`.
+
+  ### Removing existing records
+
+  When an item contains a field with a name ending in `[_destroy]`, removing the item
+  will only hide it and set the field to `1`. The server can then delete the record.
+  The item's other visible fields are disabled, so they are not validated or submitted.
+  Hidden fields like the record's `[id]` are still submitted.
+
+  New items without such a field are removed from the DOM.
+
+  @selector [up-repeat]
+  @param [up-repeat]
+    A selector for the `<template>` that new items are cloned from.
+
+    Defaults to a `<template>` that is a direct child of the container.
+  @experimental
+  */
+
+  /*-
+  Adds a new item to an [`[up-repeat]`](/up-repeat) container when clicked.
+
+  @selector [up-repeat-add]
+  @param [up-repeat-add]
+    A selector for the `[up-repeat]` container.
+
+    Defaults to the closest `[up-repeat]` container around this button.
+  @experimental
+  */
+  up.on('click', '[up-repeat-add]', function(event, button) {
+    up.event.halt(event)
+    addRepeatItem(getRepeatContainer(button))
+  })
+
+  /*-
+  Removes the [`[up-repeat]`](/up-repeat) item that contains this button when clicked.
+
+  @selector [up-repeat-remove]
+  @experimental
+  */
+  up.on('click', '[up-repeat-remove]', function(event, button) {
+    up.event.halt(event)
+    removeRepeatItem(button)
+  })
+
+  /*-
+  This event is [emitted](/up.emit) after a new item was added to an [`[up-repeat]`](/up-repeat) container.
+
+  @event up:form:repeat:added
+  @param {Element} event.target
+    The new item.
+  @experimental
+  */
+
+  /*-
+  This event is [emitted](/up.emit) after an item was removed from an [`[up-repeat]`](/up-repeat) container.
+
+  @event up:form:repeat:removed
+  @param {Element} event.target
+    The `[up-repeat]` container.
+  @param {Element} event.item
+    The removed item.
+
+    When the item was marked for deletion with a `[_destroy]` field, it is still attached, but hidden.
+  @experimental
+  */
+
+  /*-
+  Splits a form into multiple steps that are shown one at a time.
+
+  Every top-level `<fieldset>` in the wizard is a step.
+  Only the current step is shown, all other steps are [hidden](/up.element.hide).
+  Since hidden steps remain in the form, the values from all steps are submitted
+  together when the user submits the last step.
+
+  ### Example
+
+  ```html
+  <form method="post" action="/signup" up-submit up-wizard>
+    <fieldset id="account">
+      <input type="email" name="email">
+      <input type="password" name="password">
+      <button type="button" up-wizard-next>Next</button>
+    </fieldset>
+
+    <fieldset id="address">
+      <input type="text" name="street">
+      <input type="text" name="city">
+      <button type="button" up-wizard-back>Back</button>
+      <button type="submit">Sign up</button>
+    </fieldset>
+  </form>
+  ```
+
+  ### Validating steps
+
+  Before moving to the next step, Unpoly [validates](/up.validate) the current step
+  on the server. The `X-Up-Validate` header will only contain the names of fields in the current step.
+  The server is expected to render the form with validation errors for these fields, and respond
+  with an error status when the step is invalid. Unpoly will then update the current step and
+  *not* move to the next step.
+
+  Steps without an `[id]` are targeted through one of their fields, like a [form group](/up-form-group).
+
+  When [native validation](/form-up-submit#up-native-validation) is enabled, the browser's
+  constraint validation is checked before the validation request is sent.
+  When a submission finds invalid fields in an earlier step, that step is shown.
+
+  To move to the next step without validating, set an `[up-wizard-validate=false]` attribute
+  on the step or the wizard.
+
+  ### History
+
+  When the wizard's layer has [visible history](/up.Layer.prototype.history), moving to another
+  step adds a history entry with the step's `#id` in the URL. The browser's back and forward buttons
+  will then move between steps without making a request.
+
+  Going forward in history will only show steps that the user has already completed.
+  When the user goes forward to a later step, the browser returns to the history entry of the current step.
+
+  Since the form stays on the page, moving between steps does not emit `up:location:restore`.
+  Only `up:location:changed` is emitted.
+
+  When the form is rendered again, e.g. after a failed submission, the wizard
+  starts with the step from the URL's `#hash`.
+
+  @selector [up-wizard]
+  @param [up-wizard-validate='true']
+    Whether to [validate](/up.validate) the current step before moving to the next step.
+  @experimental
+  */
+  up.compiler('[up-wizard]', function(container) {
+    let wizard = new up.FormWizard(container)
+    wizard.start()
+    return () => wizard.stop()
+  })
+
+  /*-
+  Moves to the next step of an [`[up-wizard]`](/up-wizard) when clicked.
+
+  The current step is [validated](/up-wizard#validating-steps) first.
+
+  @selector [up-wizard-next]
+  @experimental
+  */
+
+  /*-
+  Moves to the previous step of an [`[up-wizard]`](/up-wizard) when clicked.
+
+  @selector [up-wizard-back]
+  @experimental
+  */
+
+  /*-
+  This event is [emitted](/up.emit) when an [`[up-wizard]`](/up-wizard) shows a step.
+
+  @event up:form:wizard:step
+  @param {Element} event.target
+    The step that is now shown.
+  @param {number} event.index
+    The index of the step, starting at `0`.
+  @experimental
+  */
+
+  /*-
+  Shows the step of an [`[up-wizard]`](/up-wizard) for a location that was restored from history.
+
+  @function up.form.restoreWizardStep
+  @param {string} location
+  @return {boolean}
+    Whether a wizard has handled the location.
+  @internal
+  */
+  function restoreWizardStep(location) {
+    let wizards = up.fragment.all('[up-wizard]', { layer: 'front' })
+    return u.some(wizards, (wizard) => wizard.upFormWizard?.restoreLocation(location))
+  }
+
+  // Unpoly halts the submit event of forms it submits. When a submit event bubbles
+  // up to the window, the form causes a full page load.
+  up.on(window, 'submit', function(event) {
+    if (!event.defaultPrevented) {
+      nativelySubmittedForm = event.target
+    }
+  })
+
+  up.on(window, 'beforeunload', onBeforeUnload)
+
   up.on('up:framework:reset', reset)
 
   return {
@@ -1796,6 +2926,14 @@ up.form = (function() {
     switchTarget,
     disableWhile,
     disable: disableContainer,
+    isDirty,
+    confirmDiscard,
+    checkValidity,
+    isNativeValidation,
+    draftStore,
+    addRepeatItem,
+    removeRepeatItem,
+    restoreWizardStep,
     group: findGroup,
     groupSolution: findGroupSolution,
     get: getForm,
@@ -128,13 +128,16 @@ up.fragment = (function() {
   @param {boolean|Function(up.Response): boolean} [config.autoRevalidate]
     Whether to reload a fragment after it was rendered from a cached response with `{ revalidate: 'auto' }`.
 
-    By default Unpoly verifies cached responses that are older than 15 seconds
+    By default Unpoly verifies [stale](/up.Response.prototype.stale) cached responses
     when we're on a good connection:
 
     ```js
-    up.fragment.config.autoRevalidate = (response) => response.age > 15_000 && !up.network.shouldReduceRequests()
+    up.fragment.config.autoRevalidate = (response) => response.stale && !up.network.shouldReduceRequests()
     ```
 
+    A response's freshness is set by the server through [caching headers](/up.request#caching-headers).
+    Without such headers responses are considered stale after `up.network.config.cacheFreshAge`.
+
   @stable
   */
   const config = new up.Config(() => ({
@@ -177,7 +180,7 @@ up.fragment = (function() {
     autoHistoryTargets: [':main'],
     autoFocus: ['hash', 'autofocus', 'main-if-main', 'keep', 'target-if-lost'],
     autoScroll: ['hash', 'layer-if-main'],
-    autoRevalidate: (response) => (response.age > 15 * 1000) && !up.network.shouldReduceRequests(),
+    autoRevalidate: (response) => response.stale && !up.network.shouldReduceRequests(),
   }))
 
   // Users who are not using layers will prefer settings default targets
@@ -707,6 +710,27 @@ up.fragment = (function() {
     Background requests also won't emit `up:network:late` events and won't trigger
     the [progress bar](/up.network.config#config.progressBar).
 
+  @param {number} [options.priority]
+    The priority of this request when it needs to be [queued](/up.network.config#config.concurrency).
+
+    Requests with a higher priority are sent first.
+
+    Defaults to `0` for foreground requests and `-1` for [background](#options.background) requests.
+
+  @param {boolean|number} [options.retry]
+    Whether this request is retried after a network error, timeout or a temporary server error.
+
+    When set to a number, the request is retried up to that many times.
+    When set to `true`, the request is retried up to `up.network.config.maxRetries` times.
+
+    Defaults to `up.network.config.retry`.
+
+  @param {string} [options.offline]
+    What to do when the request fails because the network is offline.
+
+    With `'queue'` an unsafe request is kept in an [outbox](/up.network.outbox) and sent again
+    when the connection comes back. See [`up.request()`](/up.request#options.offline) for details.
+
   @param {number} [options.badResponseTime]
     The number of milliseconds after which this request can cause
     an `up:network:late` event.
@@ -775,11 +799,78 @@ up.fragment = (function() {
 
     If the user does not confirm the render promise will reject and no fragments will be updated.
 
+  @param {boolean} [options.dirtyGuard=true]
+    Whether to ask the user before discarding unsaved changes in a form with [`[up-dirty-guard]`](/form-up-dirty-guard).
+
+    If the user wants to keep their changes, the render promise will reject and no fragments will be updated.
+
   @param {boolean|Element} [options.feedback]
     Whether to give the [`{ origin }`](#options.origin) element an [`.up-active`](/a.up-active) class
     and the targeted element an `.up-loading` class
     while loading content.
 
+  @param {string|Element|List<Element>} [options.progress]
+    Elements that show the progress of the request.
+
+    A `<progress>` element gets its `[value]` updated.
+    Other elements get a `--up-progress` CSS property with a value between `0` and `1`.
+
+  @param {string|Function(Element, Object): Function|undefined} [options.preview]
+    A temporary change to the targeted fragment that is shown while the request is loading.
+
+    Use this for optimistic updates that show the expected result immediately, without waiting for the server.
+
+    When a function is passed, it is called with each targeted element and an object `{ request, renderOptions }`.
+    The function may change the element and should return a function that reverts its changes:
+
+    ```js
+    up.submit(form, {
+      preview(counter) {
+        let oldText = counter.innerText
+        counter.innerText = Number(oldText) + 1
+        return () => counter.innerText = oldText
+      }
+    })
+    ```
+
+    When a string is passed, it is a selector for a `<template>` element.
+    The targeted element's children are replaced with a copy of the template content.
+
+    While a preview is shown, the targeted element has an `.up-preview` class.
+
+    The preview is reverted before the server response is rendered.
+    It is also reverted when the request fails, or when it is [aborted](/aborting-requests).
+
+    When a [`{ placeholder }`](#options.placeholder) is also given, the placeholder replaces the preview's content.
+    The placeholder is removed before the preview is reverted.
+
+  @param {string} [options.placeholder]
+    Skeleton content that is shown while the request is loading.
+
+    This can be a selector for a `<template>` element, or a string of HTML:
+
+    ```js
+    up.render('.results', {
+      url: '/search?q=foo',
+      placeholder: '<div class="skeleton"></div>'
+    })
+    ```
+
+    The targeted element's children are replaced with the placeholder.
+    The original children are restored when the request fails or is [aborted](/aborting-requests).
+
+    When a [`{ preview }`](#options.preview) is also given, the placeholder replaces the preview's content.
+    The placeholder is removed before the preview is reverted.
+
+    When [opening an overlay](/up.layer.open), an overlay with the placeholder is opened immediately,
+    without waiting for the server. When the response is received, the placeholder overlay is replaced
+    with the actual overlay.
+
+  @param {Function(Event)} [options.onProgress]
+    A callback that is called whenever bytes are uploaded or downloaded.
+
+    The callback argument is an `up:request:progress` event.
+
   @param {Function(Event)} [options.onLoaded]
     A callback that will be run when when the server responds with new HTML,
     but before the HTML is rendered.
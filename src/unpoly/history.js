@@ -49,10 +49,24 @@ up.history = (function() {
   let previousLocation
   let nextPreviousLocation
 
+  // The position of the current history entry. Unpoly records this in each history state,
+  // so we know how far the user travelled with the back or forward button.
+  let currentIndex = window.history.state?.up?.index ?? 0
+
+  // When the user pops a history entry that we cannot restore, we travel back to the entry they left.
+  // The browser then emits another popstate event that we must ignore.
+  let poppedFromIndex
+  let undoingPop = false
+
+  // The [up-overlay-base] element of the initial page, copied when Unpoly boots.
+  let initialOverlay
+
   function reset() {
     config.reset()
     previousLocation = undefined
     nextPreviousLocation = undefined
+    currentIndex = window.history.state?.up?.index ?? 0
+    undoingPop = false
     trackCurrentLocation()
   }
 
@@ -229,7 +243,8 @@ up.history = (function() {
 
   function manipulate(method, url) {
     if (config.enabled) {
-      const state = buildState()
+      if (method === 'pushState') currentIndex = (currentIndex ?? 0) + 1
+      const state = buildState(url)
       window.history[method](state, '', url)
       trackCurrentLocation()
       // Signal that manipulation was successful
@@ -237,8 +252,27 @@ up.history = (function() {
     }
   }
 
-  function buildState() {
-    return { up: {} }
+  function buildState(location) {
+    return { up: { index: currentIndex, layers: buildLayerDescriptors(location) } }
+  }
+
+  // We remember the overlays that show history, so we can reopen them when
+  // the user returns to this history entry. Tethered overlays like popups cannot be
+  // reopened without the element they were attached to.
+  function buildLayerDescriptors(location) {
+    let descriptors = []
+
+    for (let layer of up.layer.stack) {
+      // We always record the root layer, even when it doesn't show history.
+      // Restoring a history entry requires a descriptor for the root layer.
+      if (!layer.isRoot() && (!layer.isHistoryVisible() || (layer instanceof up.Layer.OverlayWithTether))) break
+      descriptors.push({ ...u.compactObject(u.pick(layer, ['mode', 'size', 'position', 'class'])), location: layer.location })
+    }
+
+    // The front layer is about to change to the given location.
+    u.last(descriptors).location = location
+
+    return descriptors
   }
 
   function restoreStateOnPop(state) {
@@ -249,43 +283,120 @@ up.history = (function() {
 
     let location = currentLocation()
 
+    // Moving between the steps of an [up-wizard] only changes the #hash.
+    // Since the form stays on the page, we don't need to ask about unsaved changes.
+    if (up.form.restoreWizardStep(location)) {
+      return
+    }
+
+    if (!up.form.confirmDiscard(document.body)) {
+      // The browser has already restored the earlier URL. Since the user wants to keep
+      // their unsaved changes, we go back to the entry for the content they're still seeing.
+      undoPop()
+      return
+    }
+
     if (up.emit('up:location:restore', { location, log: `Restoring location ${location}` }).defaultPrevented) {
       return
     }
 
-    up.render({
-      // The browser has already restored the URL, but hasn't changed content
-      // four our synthetic history state. We're now fetching the content for the restored URL.
-      url: location,
-      target: config.restoreTargets,
+    // States from an earlier version of Unpoly did not record any layers.
+    let descriptors = state.up.layers || [{ mode: 'root', location }]
+    up.error.muteUncriticalRejection(restoreLayers(descriptors))
+  }
 
-      // The browser won't let us prevent the state restoration, so we're
-      // rendering whatever the server sends us.
-      fail: false,
+  // The browser has already restored the URL for the given layer descriptors.
+  // We keep layers that still show the restored content, close overlays that were
+  // opened later, and reopen overlays that have since been closed.
+  async function restoreLayers(descriptors) {
+    let { stack } = up.layer
+    let index = 0
 
-      history: true,
-      // (1) While the browser has already restored the earlier URL, we must still
-      //     pass it to render() so the current layer can track the new URL.
-      // (2) Since we're passing the current URL, up.history.push() will not add another state.
-      // (2) Pass the current URL to ensure that this exact URL is being rendered
-      //     and not something derived from the up.Response.
-      location,
-
-      // Don't replace elements in a modal that might still be open
-      // We will close all overlays and update the root layer.
-      peel: true,
-      layer: 'root',
+    while (isLayerAt(stack[index], descriptors[index].location) && isLayerWithMode(stack[index + 1], descriptors[index + 1]?.mode)) {
+      index++
+    }
 
-      // We won't usually have a cache hit for config.restoreTargets ('body')
-      // since most earlier cache entries are for a main target. But it doesn't hurt to try.
-      cache: true,
+    let layer = stack[index]
+    let descriptor = descriptors[index]
+    let overlayDescriptors = descriptors.slice(index + 1)
+    let isFront = !overlayDescriptors.length
+
+    // When the same layer remains in front, we always fetch the content for the restored URL.
+    let mustRender = !isLayerAt(layer, descriptor.location) || (isFront && layer.isFront())
+
+    // Since the browser has already restored the URL, closing overlays
+    // must not push the location of their parent layer.
+    layer.peel({ history: false })
+
+    if (mustRender) {
+      await up.render({
+        // The browser has already restored the URL, but hasn't changed content
+        // four our synthetic history state. We're now fetching the content for the restored URL.
+        url: descriptor.location,
+        target: layer.isRoot() ? config.restoreTargets : ':main',
+        layer,
+
+        // The browser won't let us prevent the state restoration, so we're
+        // rendering whatever the server sends us.
+        fail: false,
+
+        // (1) While the browser has already restored the earlier URL, we must still
+        //     pass it to render() so the current layer can track the new URL.
+        // (2) Since we're passing the current URL, up.history.push() will not add another state.
+        // (3) Pass the current URL to ensure that this exact URL is being rendered
+        //     and not something derived from the up.Response.
+        // (4) A background layer must not push its location. We update its location below.
+        history: isFront,
+        location: descriptor.location,
+
+        // We already closed overlays above.
+        peel: false,
+
+        // We already asked to discard unsaved changes in restoreStateOnPop().
+        dirtyGuard: false,
+
+        // We won't usually have a cache hit for config.restoreTargets ('body')
+        // since most earlier cache entries are for a main target. But it doesn't hurt to try.
+        cache: true,
+
+        // We already saved view state in onPop()
+        saveScroll: false,
+        scroll: ['restore', 'auto'],
+        saveFocus: false,
+        focus: ['restore', 'auto'],
+      })
+    }
 
-      // We already saved view state in onPop()
-      saveScroll: false,
-      scroll: ['restore', 'auto'],
-      saveFocus: false,
-      focus: ['restore', 'auto'],
+    for (let { location, ...layerOptions } of overlayDescriptors) {
+      // Reopened overlays don't show history until the entire stack is restored.
+      // Otherwise each overlay would push its location as a new history entry.
+      await up.layer.open({ ...layerOptions, url: location, history: false, fail: false, cache: true })
+    }
+
+    descriptors.forEach(function(descriptor, descriptorIndex) {
+      let restoredLayer = stack[descriptorIndex]
+      if (descriptorIndex > index) {
+        restoredLayer.history = true
+      }
+      // Background layers remember the location to restore when their child layer closes.
+      if (!restoredLayer.isFront()) {
+        restoredLayer.location = descriptor.location
+      }
     })
+
+    // Show the title of the front layer.
+    stack.front.restoreHistory()
+  }
+
+  function isLayerAt(layer, location) {
+    // A layer that shows live history returns the browser location,
+    // which has already been changed to the restored URL.
+    let layerLocation = layer.showsLiveHistory() ? previousLocation : layer.location
+    return !!layerLocation && normalizeURL(layerLocation) === normalizeURL(location)
+  }
+
+  function isLayerWithMode(layer, mode) {
+    return layer && (layer.mode === mode)
   }
 
   /*-
@@ -295,11 +406,20 @@ up.history = (function() {
 
   By default Unpoly will:
 
-  - Close all overlays.
+  - Restore the [overlays](/up.layer) that were open when the history entry was created.
+    Overlays that were opened later are closed. Overlays that have since been closed are opened again
+    with their earlier mode, size and position.
   - Fetch the content for the restored history entry's URL.
   - Render the restored content into the `<body>` element. You may prefer other selectors by configuring `up.history.config.restoreTargets`.
+    When the restored history entry belongs to an overlay, its [main element](/up-main) is rendered instead.
   - Restore earlier scroll position for the history entry.
 
+  When the user goes back from an overlay to the layer below, the overlay is closed without
+  fetching the content of the layer below.
+
+  Only overlays with [visible history](/up.Layer.prototype.history) are restored.
+  Popups are never restored since they cannot be attached to the element that opened them.
+
   ### Custom restoration behavior
 
   Listeners may prevent `up:location:restore` and substitute their own restoration behavior:
@@ -325,9 +445,43 @@ up.history = (function() {
   @stable
   */
 
+  /*-
+  Returns to the history entry that the user left with the back or forward button.
+
+  This is used when we don't want to show the content for a popped history entry,
+  e.g. because the user wants to keep unsaved changes. Other than pushing a new entry,
+  this keeps the entries that the user may still go forward to.
+
+  @function up.history.undoPop
+  @internal
+  */
+  function undoPop() {
+    // The delta is NaN when we cannot tell how far the user travelled.
+    let delta = poppedFromIndex - currentIndex
+
+    if (delta) {
+      undoingPop = true
+      window.history.go(delta)
+    } else {
+      push(previousLocation)
+    }
+  }
+
   function onPop(event) {
     // The earlier URL has now been restored by the browser. This cannot be prevented.
     trackCurrentLocation()
+    poppedFromIndex = currentIndex
+    // A state built by an earlier version of Unpoly has no index.
+    currentIndex = event.state?.up?.index
+
+    if (undoingPop) {
+      // We have returned to the entry that the user tried to leave.
+      // Its content is still on the screen.
+      undoingPop = false
+      emitLocationChanged({ location: currentLocation(), reason: 'pop', log: 'Returned to the previous history entry' })
+      return
+    }
+
     emitLocationChanged({ location, reason: 'pop', log: `Navigated to history entry ${location}` })
 
     up.viewport.saveFocus({ location: previousLocation })
@@ -345,10 +499,97 @@ up.history = (function() {
     if (up.protocol.initialRequestMethod() === 'GET') {
       // Replace the vanilla state of the initial page load with an Unpoly-enabled state
       replace(currentLocation(), {event: false})
+      up.error.muteUncriticalRejection(openInitialOverlay(initialOverlay))
     }
   }
 
+  /*-
+  Opens the initial page in an overlay.
+
+  When an overlay has [visible history](/up.Layer.prototype.history), the browser's address bar
+  shows the overlay's URL. When a user shares that URL, the recipient's browser will load the
+  overlay's URL as a full page.
+
+  To open such a page in an overlay, the server may set an `[up-overlay-base]` attribute on
+  the element that should become the overlay's content:
+
+  ```html
+  <main up-overlay-base="/users" up-mode="drawer" up-size="large">
+    Details for user #5
+  </main>
+  ```
+
+  When Unpoly boots with this page, it will:
+
+  - Fetch the base page (`/users`) and render it into the root layer.
+  - Open an overlay with the `[up-overlay-base]` element and the current URL (`/users/5`).
+
+  The base page is shown in an earlier history entry. When the user presses the back button,
+  the overlay is closed and the base page remains.
+
+  @selector [up-overlay-base]
+  @param up-overlay-base
+    The URL of the page that should be shown below the overlay.
+  @param [up-mode]
+    The [mode](/layer-terminology) of the overlay.
+  @param [up-size]
+    The [size](/customizing-overlays#overlay-sizes) of the overlay.
+  @param [up-position]
+    The position of the overlay, e.g. `'left'` for a drawer.
+  @param [up-class]
+    An optional HTML class for the overlay's container element.
+  @experimental
+  */
+  async function openInitialOverlay(initialOverlay = captureInitialOverlay()) {
+    if (!initialOverlay) return
+
+    let { fragment, baseLocation, layerOptions } = initialOverlay
+    let location = currentLocation()
+
+    // The base page takes the history entry of the initial page,
+    // so going back from the overlay will show the base page.
+    replace(baseLocation)
+
+    await up.render({
+      url: baseLocation,
+      target: config.restoreTargets,
+      layer: 'root',
+      history: true,
+      location: baseLocation,
+      fail: false,
+      cache: true,
+    })
+
+    await up.layer.open({ ...layerOptions, fragment, history: true, location })
+  }
+
+  // Extracts the [up-overlay-base] element from the initial page.
+  //
+  // We must extract the element before the initial page is compiled. Otherwise compilers,
+  // pollers and [up-stream] would run against content in the root layer that the base page is about to replace.
+  // Also the overlay would receive markup that compilers have already changed, and compile it a second time.
+  function captureInitialOverlay() {
+    let content = document.querySelector('[up-overlay-base]')
+    if (!content) return
+
+    let baseLocation = normalizeURL(content.getAttribute('up-overlay-base'))
+
+    let layerOptions = {}
+    let parser = new up.OptionsParser(content, layerOptions)
+    parser.string('mode')
+    parser.string('size')
+    parser.string('position')
+    parser.string('class')
+
+    content.removeAttribute('up-overlay-base')
+    content.remove()
+    return { fragment: content.outerHTML, baseLocation, layerOptions }
+  }
+
   up.on('up:framework:boot', function() {
+    // Our boot listener runs before up.fragment compiles the initial page.
+    initialOverlay = captureInitialOverlay()
+
     if ('jasmine' in window) {
       // Can't delay this in tests.
       register()
@@ -409,6 +650,8 @@ up.history = (function() {
     get location() { return currentLocation() },
     get previousLocation() { return previousLocation },
     normalizeURL,
-    isLocation
+    isLocation,
+    openInitialOverlay,
+    undoPop,
   }
 })()
@@ -26,6 +26,7 @@ Once the subinteraction is *done*, the overlay is closed and a result value is c
 @see closing-overlays
 @see subinteractions
 @see customizing-overlays
+@see toasts
 @see context
 
 @see a[up-layer=new]
@@ -42,7 +43,8 @@ up.layer = (function() {
     up.Layer.Modal,
     up.Layer.Popup,
     up.Layer.Drawer,
-    up.Layer.Cover
+    up.Layer.Cover,
+    up.Layer.Toast
   ]
 
   /*-
@@ -60,6 +62,7 @@ up.layer = (function() {
   | `up.layer.config.drawer`  | Defaults for drawer overlays |
   | `up.layer.config.popup`   | Defaults for popup overlays  |
   | `up.layer.config.cover`   | Defaults for cover overlays  |
+  | `up.layer.config.toast`   | Defaults for toast overlays  |
 
   For convenience you may configure options that affect all layer modes
   or all overlay modes:
@@ -172,11 +175,32 @@ up.layer = (function() {
 
     Inherits from `up.layer.config.overlay` and `up.layer.config.any`.
 
+  @param {number} [config.drawer.swipeThreshold=0.3]
+    How far a drawer must be dragged past its smallest snap point to be dismissed.
+
+    The value is a fraction of the drawer's size.
+
   @param {object} config.popup
     Defaults for [popup overlays](/layer-terminology).
 
     Inherits from `up.layer.config.overlay` and `up.layer.config.any`.
 
+  @param {object} config.toast
+    Defaults for [toast overlays](/toasts).
+
+    Inherits from `up.layer.config.overlay` and `up.layer.config.any`.
+
+  @param {number|false} [config.toast.dismissDelay=5000]
+    The number of milliseconds after which a toast is dismissed automatically.
+
+    The timer pauses while the user hovers over the toast.
+    Set to `false` to keep toasts open until the user dismisses them.
+
+  @param {number} [config.toast.limit=5]
+    The maximum number of toasts shown at the same time.
+
+    When another toast opens, the oldest toasts are dismissed.
+
   @param {Array<string>} config.foreignOverlaySelectors
     An array of CSS selectors matching overlays not constructed by Unpoly.
 
@@ -189,6 +213,7 @@ up.layer = (function() {
 
     By default this contains a selector matching the
     [`<dialog>`](https://developer.mozilla.org/en-US/docs/Web/HTML/Element/dialog) element.
+    Unpoly overlays [rendered within a `<dialog>`](/customizing-overlays#native-dialogs) are never considered foreign.
 
   @stable
   */
@@ -223,17 +248,12 @@ up.layer = (function() {
         backdrop: true,
         position: 'left',
         size: 'medium',
+        swipeThreshold: 0.3,
         openAnimation(layer) {
-          switch (layer.position) {
-            case 'left': return 'move-from-left'
-            case 'right': return 'move-from-right'
-          }
+          return `move-from-${layer.position}`
         },
         closeAnimation(layer) {
-          switch (layer.position) {
-            case 'left': return 'move-to-left'
-            case 'right': return 'move-to-right'
-          }
+          return `move-to-${layer.position}`
         }
       },
       modal: {
@@ -248,6 +268,17 @@ up.layer = (function() {
         align: 'left',
         dismissable: 'outside key'
       },
+      toast: {
+        mainTargets: ['[up-main~=toast]'],
+        position: 'bottom',
+        align: 'right',
+        size: 'medium',
+        dismissable: 'button',
+        dismissAriaLabel: 'Dismiss notification',
+        dismissDelay: 5000,
+        limit: 5,
+        history: false
+      },
       foreignOverlaySelectors: ['dialog']
     }
 
@@ -426,14 +457,16 @@ up.layer = (function() {
   @param {boolean|string|Array<string>} [options.dismissable=true]
     How the overlay may be [dismissed](/closing-overlays) by the user.
 
-    Supported values are `'key'`, `'outside'` and `'button'`.
+    Supported values are `'key'`, `'outside'`, `'button'` and `'swipe'`.
     See [customizing dismiss controls](/closing-overlays#customizing-dismiss-controls)
     for details.
 
     You may enable multiple dismiss controls by passing an array or
     a space-separated string.
 
-    Passing `true` or `false` will enable or disable all dismiss controls.
+    Passing `true` will enable the `key`, `outside` and `button` controls.
+    The `swipe` control must be enabled explicitly.
+    Passing `false` will disable all dismiss controls.
 
   @param {boolean|string} [options.history]
     Whether history of the overlay content is visible.
@@ -446,6 +479,14 @@ up.layer = (function() {
   @param {string|Function} [options.animation]
     The opening animation.
 
+  @param {string} [options.placeholder]
+    Skeleton content to show in the overlay while its content is loading.
+
+    This can be a selector for a `<template>` element, or a string of HTML.
+    The overlay opens immediately instead of waiting for the server response.
+
+    See [`up.render({ placeholder })`](/up.render#options.placeholder) for details.
+
   @param {Function(Event)} [options.onOpened]
     A function that is called when the overlay was inserted into the DOM.
 
@@ -514,6 +555,9 @@ up.layer = (function() {
 
     See [popup position](/customizing-overlays#popup-position).
 
+    For a drawer, this is the screen edge the drawer is attached to.
+    See [drawer position](/customizing-overlays#drawer-position).
+
   @param {string} [options.align]
     The alignment of the popup within its `{ position }`.
 
@@ -521,6 +565,34 @@ up.layer = (function() {
 
     See [popup position](/customizing-overlays#popup-position).
 
+  @param {string} [options.collision='none']
+    How a popup avoids overflowing the viewport.
+
+    Pass `'auto'` to flip the popup to the opposite side of the `{ origin }` and to shift
+    it along its alignment. You may also pass a space-separated list of `'flip'`, `'shift'` and `'size'`.
+
+    See [avoiding collisions](/customizing-overlays#avoiding-collisions).
+
+  @param {boolean} [options.dialog=false]
+    Whether to render a modal, drawer or cover within a native
+    [`<dialog>`](https://developer.mozilla.org/en-US/docs/Web/HTML/Element/dialog) element.
+
+    The dialog is placed in the browser's [top layer](https://developer.mozilla.org/en-US/docs/Glossary/Top_layer),
+    above any other element on the page.
+
+    See [native dialogs](/customizing-overlays#native-dialogs).
+
+  @param {string|Array<string>} [options.snapPoints='100%']
+    The visible portions of a [drawer](/customizing-overlays#drawer-position) that the user can drag it to,
+    e.g. `'50% 100%'`.
+
+    The drawer opens at the first snap point.
+
+  @param {number|false} [options.dismissDelay=5000]
+    The number of milliseconds after which a [toast](/toasts) is dismissed automatically.
+
+    Set to `false` to keep the toast open until the user dismisses it.
+
   @return {Promise<up.Layer>}
     A promise for the `up.Layer` object that models the new overlay.
 
@@ -670,7 +742,9 @@ up.layer = (function() {
 
   function isWithinForeignOverlay(element) {
     let selector = config.foreignOverlaySelectors.join(',')
-    return !!(selector && element.closest(selector))
+    let foreignOverlay = selector && element.closest(selector)
+    // Overlays opened with { dialog: true } live in a <dialog> of their own.
+    return !!(foreignOverlay && !foreignOverlay.matches('[up-overlay-dialog]'))
   }
 
   /*-
@@ -725,7 +799,9 @@ up.layer = (function() {
 
     You may enable multiple dismiss controls by passing a space-separated string.
 
-    Passing `true` or `false` will enable or disable all dismiss controls.
+    Passing `true` will enable the `key`, `outside` and `button` controls.
+    The `swipe` control must be enabled explicitly.
+    Passing `false` will disable all dismiss controls.
 
   @param [up-animation]
     The name of the opening animation.
@@ -818,6 +894,9 @@ up.layer = (function() {
 
     See [popup position](/customizing-overlays#popup-position).
 
+    For a drawer, this is the screen edge the drawer is attached to.
+    See [drawer position](/customizing-overlays#drawer-position).
+
   @param [up-align]
     The alignment of the popup within its `{ position }`.
 
@@ -825,6 +904,31 @@ up.layer = (function() {
 
     See [popup position](/customizing-overlays#popup-position).
 
+  @param [up-collision='none']
+    How a popup avoids overflowing the viewport.
+
+    Set to `auto` to flip the popup to the opposite side of the link and to shift
+    it along its alignment. You may also set a space-separated list of `flip`, `shift` and `size`.
+
+    See [avoiding collisions](/customizing-overlays#avoiding-collisions).
+
+  @param [up-dialog='false']
+    Whether to render a modal, drawer or cover within a native
+    [`<dialog>`](https://developer.mozilla.org/en-US/docs/Web/HTML/Element/dialog) element.
+
+    See [native dialogs](/customizing-overlays#native-dialogs).
+
+  @param [up-snap-points='100%']
+    The visible portions of a [drawer](/customizing-overlays#drawer-position) that the user can drag it to,
+    e.g. `50% 100%`.
+
+    The drawer opens at the first snap point.
+
+  @param [up-dismiss-delay='5000']
+    The number of milliseconds after which a [toast](/toasts) is dismissed automatically.
+
+    Set to `0` to keep the toast open until the user dismisses it.
+
   @stable
   */
 
@@ -346,6 +346,10 @@ up.link = (function() {
     parser.booleanOrString('abort')
     parser.boolean('abortable')
     parser.boolean('background')
+    parser.number('priority')
+    parser.string('offline')
+    // Only cast a number of retries. Other values are rejected by up.Request.
+    parser.booleanOrString('retry', { normalize: (value) => (u.isString(value) && /^\d+$/.test(value)) ? Number(value) : value })
     parser.string('contentType')
     parser.number('badResponseTime')
     parser.number('timeout')
@@ -390,6 +394,10 @@ up.link = (function() {
 
     // Feedback options
     parser.boolean('feedback')
+    parser.string('progress')
+    parser.string('preview')
+    parser.string('placeholder')
+    parser.parse(((link, attrName) => e.callbackAttr(link, attrName, ['direction', 'loaded', 'total', 'progress'])), 'onProgress')
 
     // Fragment options
     parser.boolean('fail')
@@ -414,9 +422,13 @@ up.link = (function() {
     parser.string('mode')
     parser.string('align')
     parser.string('position')
+    parser.string('collision')
     parser.string('class')
     parser.string('size')
     parser.booleanOrString('dismissable')
+    parser.boolean('dialog')
+    parser.number('dismissDelay')
+    parser.string('snapPoints')
     parser.parse(up.layer.openCallbackAttr, 'onOpened')
     parser.parse(up.layer.closeCallbackAttr, 'onAccepted')
     parser.parse(up.layer.closeCallbackAttr, 'onDismissed')
@@ -1056,6 +1068,27 @@ up.link = (function() {
     Background requests also won't emit `up:network:late` events and won't trigger
     the [progress bar](/up.network.config#config.progressBar).
 
+  @param [up-priority]
+    The priority of this request when it needs to be [queued](/up.network.config#config.concurrency).
+
+    Requests with a higher priority are sent first.
+
+    Defaults to `0` for foreground requests and `-1` for [background](#up-background) requests.
+
+  @param [up-retry]
+    Whether this request is retried after a network error, timeout or a temporary server error.
+
+    When set to a number, the request is retried up to that many times.
+    When set to `true`, the request is retried up to `up.network.config.maxRetries` times.
+
+    Defaults to `up.network.config.retry`.
+
+  @param [up-offline]
+    What to do when the request fails because the network is offline.
+
+    With `queue` an unsafe request is kept in an [outbox](/up.network.outbox) and sent again
+    when the connection comes back. See [`up.request()`](/up.request#options.offline) for details.
+
   @param [up-bad-response-time]
     The number of milliseconds after which this request can cause
     an `up:network:late` event.
@@ -1121,6 +1154,38 @@ up.link = (function() {
     Whether to give the link an `.up-active` class
     while loading and rendering content.
 
+  @param [up-progress]
+    A selector for elements that show the progress of the request.
+
+    A `<progress>` element gets its `[value]` updated.
+    Other elements get a `--up-progress` CSS property with a value between `0` and `1`.
+
+    See [showing upload progress](/form-up-submit#showing-upload-progress) for an example.
+
+  @param [up-preview]
+    A selector for a `<template>` that is shown in the targeted fragment while the request is loading.
+
+    Use this for [optimistic updates](/up.render#options.preview) that show the expected result immediately.
+    The original content is restored when the server response is rendered, or when the request fails
+    or is aborted.
+
+  @param [up-placeholder]
+    Skeleton content that is shown in the targeted fragment while the request is loading.
+
+    This can be a selector for a `<template>` or a string of HTML.
+    When the link opens an overlay, a placeholder overlay is opened immediately.
+    When the link also has an `[up-preview]` attribute, the placeholder replaces the preview's content.
+
+    See [showing placeholders](/up.render#options.placeholder) for details.
+
+  @param [up-on-progress]
+    A JavaScript snippet that is called whenever bytes are uploaded or downloaded.
+
+    The callback argument is an `up:request:progress` event.
+    The snippet may also refer to the event's `direction`, `loaded`, `total` and `progress` properties directly.
+
+    With a strict Content Security Policy [additional rules apply](/csp).
+
   @param [up-on-loaded]
     A JavaScript snippet that is called when when the server responds with new HTML,
     but before the HTML is rendered.
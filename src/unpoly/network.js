@@ -50,6 +50,32 @@ up.network = (function() {
     the default is lowered to 3. Your browser may impose additional concurrency
     limits  regardless of what you configure here.
 
+    Queued requests are sent in the order of their [priority](/up.request#options.priority).
+
+  @param {Object<number, number>|Function(): Object<number, number>} [config.reservedConcurrency={}]
+    Reserves concurrency slots for requests with a high [priority](/up.request#options.priority).
+
+    The object maps a priority to the number of slots that may only be used by requests
+    with that priority or higher.
+
+    For example, to always keep one slot free for foreground requests, so a burst of
+    [background](/up.request#options.background) requests cannot delay navigation:
+
+    ```js
+    up.network.config.reservedConcurrency = { 0: 1 }
+    ```
+
+  @param {number|Function(string): number|undefined} [config.originConcurrency]
+    The maximum number of concurrently loading requests to the same origin.
+
+    Additional requests to a busy origin are queued, while requests to other
+    origins may still be sent.
+
+    If a function is given, it is called with an origin like `'https://api.example.com'`
+    and should return the limit for that origin.
+
+    By default there is no limit per origin. Requests are then only limited by `config.concurrency`.
+
   @param {boolean} [config.wrapMethod]
     Whether to wrap non-standard HTTP methods in a POST request.
 
@@ -62,12 +88,61 @@ up.network = (function() {
   @param {number} [config.cacheSize=70]
     The maximum number of responses to cache.
 
-    If the size is exceeded, the oldest responses will be dropped from the cache.
+    If the size is exceeded, the least recently used responses will be dropped from the cache.
 
-  @param {number} [config.cacheExpiry=300000]
+  @param {number} [config.cacheMaxBytes]
+    The maximum number of bytes that all cached responses may take up.
+
+    The size of a response is estimated from the length of its text.
+
+    If the limit is exceeded, the least recently used responses will be dropped from the cache.
+    A response that exceeds the limit by itself will not be cached.
+
+    By default the cache is only limited by `config.cacheSize`.
+
+  @param {number} [config.cacheExpiry=900000]
     The number of milliseconds until a cached response expires.
 
-    Defaults to 5 minutes.
+    An expired response is removed from the cache and can no longer be used.
+
+    Defaults to 15 minutes.
+
+    This setting is only used if the server sent no caching headers with a response.
+    See [caching headers](/up.request#caching-headers) for details.
+
+  @param {number} [config.cacheFreshAge=15000]
+    The number of milliseconds for which a cached response is considered fresh.
+
+    When a stale response is rendered from the cache, it is [revalidated](/up.fragment.config#config.autoRevalidate)
+    with the server.
+
+    Defaults to 15 seconds.
+
+    This setting is only used if the server sent no caching headers with a response.
+    See [caching headers](/up.request#caching-headers) for details.
+
+  @param {string|Function(): Object} [config.cacheStore='memory']
+    Where to keep cached responses.
+
+    By default responses are only cached in memory, so every full page load starts with an empty cache.
+
+    To keep cached responses across page loads, use one of the following values:
+
+    | Value         | Storage |
+    |---------------|---------|
+    | `'memory'`    | Responses are only cached in memory. |
+    | `'session'`   | Responses are also kept in [`sessionStorage`](https://developer.mozilla.org/en-US/docs/Web/API/Window/sessionStorage). |
+    | `'indexedDB'` | Responses are also kept in [IndexedDB](https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API). Since IndexedDB loads asynchronously, persisted responses become available shortly after the page has loaded. |
+
+    Only successful responses are persisted. A persisted response keeps its
+    text, headers, status and URL. The `cacheSize` and `cacheExpiry` limits also
+    apply to persisted responses.
+
+    If the browser's storage quota is exceeded, responses will only be cached in memory.
+
+    You may also pass a function that returns a custom store object.
+    The store must implement the same methods as `up.store.Memory`, and
+    [keep values across page loads](https://developer.mozilla.org/en-US/docs/Web/API/Web_Storage_API).
 
   @param {number} [config.badDownlink=0.6]
     The connection's minimum effective bandwidth estimate required
@@ -167,6 +242,52 @@ up.network = (function() {
     }
     ```
 
+  @param {string|Function(up.Request): string} [config.transport='xhr']
+    How requests are sent over the network.
+
+    With `'xhr'` requests are sent using an [`XMLHttpRequest`](https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest).
+
+    With `'fetch'` requests are sent using the [`fetch()`](https://developer.mozilla.org/en-US/docs/Web/API/fetch) function.
+    This is useful when a service worker or test harness intercepts `fetch()`, but not XHR.
+    Only the `fetch()` transport supports the `{ keepalive }` and `{ fetchPriority }` options
+    and streaming request bodies.
+
+    You may also pass a function that accepts an `up.Request` and returns the transport.
+
+    The transport can be overridden per request with an [`{ transport }`](/up.request#options.transport) option.
+
+  @param {boolean|number|Function(up.Request): boolean|number} [config.retry=false]
+    Whether requests are retried after a network error, timeout or a temporary server error.
+
+    When set to a number, requests are retried up to that many times.
+    When set to `true`, requests are retried up to `config.maxRetries` times.
+
+    Only requests matching `config.retryCondition` are retried.
+    Before each retry an `up:request:retry` event is emitted.
+
+    The setting can be overridden per request with a [`{ retry }`](/up.request#options.retry) option.
+
+  @param {number} [config.maxRetries=3]
+    How often a request with [`{ retry: true }`](/up.request#options.retry) is retried.
+
+  @param {Function(number, up.Request): number} [config.retryDelay]
+    The number of milliseconds to wait before a retry.
+
+    The function is called with the number of the upcoming retry (starting at `1`) and the request.
+
+    By default the delay is doubled with every retry, starting with 1 second and
+    never exceeding 15 seconds.
+
+  @param {Function(up.Request, up.Response|undefined): boolean} [config.retryCondition]
+    Whether a failed request should be retried.
+
+    The function is called with the request and the response. When the request failed
+    due to a network error or timeout, no response is passed.
+
+    By default only requests with a [safe](/up.network.isSafeMethod) HTTP method are retried,
+    after a network error, a timeout or a response with an HTTP status of 408, 429, 502, 503 or 504.
+    Unsafe requests are never retried, since the server may have processed them before the connection dropped.
+
   @param {boolean|Function(): boolean} [config.progressBar]
     Whether to show a progress bar for [late requests](/up:network:late).
 
@@ -187,9 +308,18 @@ up.network = (function() {
   */
   const config = new up.Config(() => ({
     concurrency() { return shouldReduceRequests() ? 3 : 6 },
+    reservedConcurrency: {},
+    originConcurrency: undefined,
+    retry: false,
+    maxRetries: 3,
+    retryDelay: (attempt) => Math.min(1000 * (2 ** (attempt - 1)), 15 * 1000),
+    retryCondition: (request, response) => request.isSafe() && (!response || u.contains([408, 429, 502, 503, 504], response.status)),
     wrapMethod: true,
     cacheSize: 70,
     cacheExpiry: 1000 * 60 * 15,
+    cacheFreshAge: 15 * 1000,
+    cacheMaxBytes: undefined,
+    cacheStore: 'memory',
     // 2G 66th percentile: RTT >= 1400 ms, downlink <=  70 Kbps
     // 3G 50th percentile: RTT >=  270 ms, downlink <= 700 Kbps
     badDownlink: 0.6,
@@ -201,12 +331,31 @@ up.network = (function() {
     requestMetaKeys: ['target', 'failTarget', 'mode', 'failMode', 'context', 'failContext'],
     progressBar: true,
     timeout: 90_000,
+    transport: 'xhr',
   }))
 
   const queue = new up.Request.Queue()
 
   const cache = new up.Request.Cache()
 
+  /*-
+  Unsafe requests that failed while offline, waiting to be replayed.
+
+  Requests are only added to the outbox when made with an [`{ offline: 'queue' }`](/up.request#options.offline) option.
+
+  @property up.network.outbox
+  @param {number} outbox.size
+    The number of requests waiting to be replayed.
+  @param {Function(): Promise} outbox.replay
+    Replays all waiting requests now.
+
+    Requests are replayed automatically when the browser goes online.
+  @param {Function()} outbox.clear
+    Discards all waiting requests.
+  @experimental
+  */
+  const outbox = new up.Request.Outbox()
+
   let progressBar = null
 
   /*-
@@ -313,8 +462,11 @@ up.network = (function() {
   function reset() {
     abortRequests()
     queue.reset()
-    config.reset()
+    // Clear the cache before resetting config, so we also clear a
+    // persistent store set in up.network.config.cacheStore.
     cache.clear()
+    outbox.clear()
+    config.reset()
     progressBar?.destroy()
     progressBar = null
   }
@@ -372,6 +524,22 @@ up.network = (function() {
 
   You can configure caching with the [`up.network.config`](/up.network.config) property.
 
+  ### Caching headers
+
+  The server can control how long a response may be used from the cache by sending caching headers:
+
+  | Header                                   | Effect |
+  |------------------------------------------|--------|
+  | `Cache-Control: max-age=60`              | The response is fresh for 60 seconds. Afterwards it is stale and can no longer be used from the cache. |
+  | `Cache-Control: stale-while-revalidate=300` | A stale response can be used for another 300 seconds. When it is rendered, it is [revalidated](/up.fragment.config#config.autoRevalidate) with the server. |
+  | `Cache-Control: no-cache`                | The response is stale immediately. It is only used with a `stale-while-revalidate` directive. |
+  | `Cache-Control: no-store`                | The response is never cached. |
+  | `Cache-Control: private`                 | The response is not kept in a [persistent cache store](/up.network.config#config.cacheStore). |
+  | `Expires: <date>`                        | The response is fresh until the given date. Ignored if a `max-age` directive is present. |
+
+  If a response has no caching headers, Unpoly considers it fresh for `up.network.config.cacheFreshAge`
+  and removes it from the cache after `up.network.config.cacheExpiry`.
+
   @function up.request
 
   @param {string} [url]
@@ -455,9 +623,13 @@ up.network = (function() {
   @param {Element} [options.contentType]
     The format in which to encode the request params.
 
-    Allowed values are `application/x-www-form-urlencoded` and `multipart/form-data`.
+    Allowed values are `application/x-www-form-urlencoded`, `multipart/form-data` and `application/json`.
     Only `multipart/form-data` can transport binary data.
 
+    With `application/json` the params are encoded as a JSON object.
+    Param names in bracket notation like `user[email]` are expanded into [nested objects](/up.Params.prototype.toNestedObject).
+    Passing binary params will throw an error.
+
     If this option is omitted Unpoly will prefer `application/x-www-form-urlencoded`,
     unless request params contains binary data.
 
@@ -472,6 +644,9 @@ up.network = (function() {
 
     If a `{ payload }` option is given you must also pass a `{ contentType }`.
 
+    With `{ transport: 'fetch' }` the payload may also be a
+    [`ReadableStream`](https://developer.mozilla.org/en-US/docs/Web/API/ReadableStream).
+
   @param {boolean} [options.background=false]
     Whether this request will load in the background.
 
@@ -479,12 +654,71 @@ up.network = (function() {
     Background requests also won't emit `up:network:late` events and won't trigger
     the [progress bar](/up.network.config#config.progressBar).
 
+  @param {number} [options.priority]
+    The priority of this request when it needs to be [queued](/up.network.config#config.concurrency).
+
+    Requests with a higher priority are sent first.
+
+    Defaults to `0` for foreground requests and `-1` for [background](#options.background) requests.
+
+  @param {boolean|number} [options.retry]
+    Whether this request is retried after a network error, timeout or a temporary server error.
+
+    When set to a number, the request is retried up to that many times.
+    When set to `true`, the request is retried up to `up.network.config.maxRetries` times.
+
+    Defaults to `up.network.config.retry`.
+
+  @param {string} [options.offline]
+    What to do when this request fails because the network is offline.
+
+    With `'queue'` an [unsafe](/up.network.isSafeMethod) request is added to an [outbox](/up.network.outbox)
+    and sent again when the connection comes back. The request is persisted in IndexedDB,
+    so it survives a full page load. Requests are replayed in the order they were made.
+
+    A queued request may have a string, `Blob`, `FormData` or `URLSearchParams` payload.
+    Making a queued request with another `{ payload }`, like a stream, throws an error.
+
+    The request's promise still rejects with an `up.Offline` error.
+    To show that a request is waiting to be sent, observe the `up:outbox:added` event.
+    To learn whether a replayed request succeeded, observe `up:outbox:replayed` and `up:outbox:conflict`.
+
+  @param {Function(Event)} [options.onProgress]
+    A callback that is called whenever bytes of this request are uploaded or downloaded.
+
+    The callback argument is an `up:request:progress` event.
+
   @param {number} [options.badResponseTime]
     The number of milliseconds after which this request can cause
     an `up:network:late` event.
 
     Defaults to `up.network.config.badResponseTime`.
 
+  @param {string} [options.transport]
+    How this request is sent over the network.
+
+    Allowed values are `'xhr'` and `'fetch'`.
+
+    Defaults to `up.network.config.transport`.
+
+  @param {string} [options.credentials]
+    Whether to send cookies and authorization headers with this request.
+
+    Allowed values are `'omit'`, `'same-origin'` and `'include'`.
+    When sending the request using XHR, only `'include'` has an effect.
+
+  @param {boolean} [options.keepalive=false]
+    Whether the request may outlive the page that made it.
+
+    Requires `{ transport: 'fetch' }`.
+
+  @param {string} [options.fetchPriority]
+    A hint about the priority of this request relative to other requests made by the browser.
+
+    Allowed values are `'high'`, `'low'` and `'auto'`.
+
+    Requires `{ transport: 'fetch' }`.
+
   @return {up.Request}
     An object with information about the request.
 
@@ -922,6 +1156,160 @@ up.network = (function() {
   @stable
   */
 
+  /*-
+  This event is [emitted](/up.emit) whenever bytes of a request are uploaded or downloaded.
+
+  A request with a body (like a form submission) first emits events with `{ direction: 'upload' }`
+  while its body is sent to the server. It then emits events with `{ direction: 'download' }`
+  while the response is received.
+
+  To show progress with a `<progress>` element or a CSS property, you may also use
+  the [`[up-progress]`](/a-up-follow#up-progress) attribute.
+
+  Upload progress is only reported for requests sent [using XHR](/up.network.config#config.transport).
+
+  The event is emitted on the layer that caused the request.
+
+  ### Example
+
+  ```js
+  up.on('up:request:progress', function(event) {
+    if (event.direction === 'upload' && event.progress !== undefined) {
+      console.log('Uploaded %d%%', Math.round(event.progress * 100))
+    }
+  })
+  ```
+
+  @event up:request:progress
+
+  @param {up.Request} event.request
+    The request.
+
+  @param {string} event.direction
+    Whether the request body is being uploaded (`'upload'`) or the response is being downloaded (`'download'`).
+
+  @param {number} event.loaded
+    The number of bytes transferred so far.
+
+  @param {number|undefined} event.total
+    The total number of bytes to transfer.
+
+    If the total size is unknown, this is `undefined`.
+
+  @param {number|undefined} event.progress
+    The ratio of transferred bytes, between `0` and `1`.
+
+    If the total size is unknown, this is `undefined`.
+
+  @param {up.Layer} [event.layer]
+    The [layer](/up.layer) this request is associated with.
+
+  @param {Element} [event.origin]
+    The link or form element that caused the request.
+
+  @experimental
+  */
+
+  /*-
+  This event is [emitted](/up.emit) before a failed request is [retried](/up.network.config#config.retry).
+
+  A request is retried after a network error, a timeout or a temporary server error.
+  See `up.network.config.retryCondition` for details.
+
+  The event is emitted on the layer that caused the request.
+
+  @event up:request:retry
+
+  @param {up.Request} event.request
+    The request that will be retried.
+
+  @param {up.Response} [event.response]
+    The failed response.
+
+    If the request failed due to a network error or timeout, this is `undefined`.
+
+  @param {number} event.attempt
+    The number of the upcoming retry, starting at `1`.
+
+  @param {number} event.delay
+    The number of milliseconds until the request will be retried.
+
+    Listeners may change this property to use a different delay for this retry.
+
+  @param {up.Layer} [event.layer]
+    The [layer](/up.layer) this request is associated with.
+
+  @param {Element} [event.origin]
+    The link or form element that caused the request.
+
+  @param event.preventDefault()
+    Prevents the request from being retried.
+
+    The request will then fail as it would without a `{ retry }` option.
+
+  @experimental
+  */
+
+  /*-
+  This event is [emitted](/up.emit) when a request is added to the [outbox](/up.network.outbox)
+  because the network is offline.
+
+  The request will be sent again when the connection comes back.
+  You may use this event to show that changes are waiting to be synced:
+
+  ```js
+  up.on('up:outbox:added up:outbox:replayed up:outbox:conflict', function(event) {
+    document.querySelector('.pending-sync').textContent = event.pending
+  })
+  ```
+
+  @event up:outbox:added
+  @param {up.Request} event.request
+    The request that failed.
+  @param {number} event.pending
+    The number of requests waiting to be replayed.
+  @experimental
+  */
+
+  /*-
+  This event is [emitted](/up.emit) when a request from the [outbox](/up.network.outbox)
+  was successfully replayed.
+
+  @event up:outbox:replayed
+  @param {up.Request} event.request
+    The replayed request.
+  @param {up.Response} event.response
+    The server response.
+  @param {number} event.pending
+    The number of requests still waiting to be replayed.
+  @experimental
+  */
+
+  /*-
+  This event is [emitted](/up.emit) when the server responds to a request replayed from the
+  [outbox](/up.network.outbox) with an error status.
+
+  This may happen when the data was changed by someone else while the user was offline.
+  The request is removed from the outbox and will not be replayed again.
+
+  Listeners may render the response to show the conflict to the user:
+
+  ```js
+  up.on('up:outbox:conflict', function(event) {
+    up.render({ response: event.response, target: '.conflict', layer: 'new' })
+  })
+  ```
+
+  @event up:outbox:conflict
+  @param {up.Request} event.request
+    The replayed request.
+  @param {up.Response} event.response
+    The server response.
+  @param {number} event.pending
+    The number of requests still waiting to be replayed.
+  @experimental
+  */
+
   function isSafeMethod(method) {
     return u.contains(['GET', 'OPTIONS', 'HEAD'], u.normalizeMethod(method))
   }
@@ -936,13 +1324,22 @@ up.network = (function() {
     progressBar?.conclude()
   }
 
+  function replayOutbox() {
+    if (navigator.onLine) {
+      outbox.replay()
+    }
+  }
+
   up.on('up:network:late', onLate)
   up.on('up:network:recover', onRecover)
+  up.on('up:framework:boot', replayOutbox)
+  up.on(window, 'online', replayOutbox)
   up.on('up:framework:reset', reset)
 
   return {
     request: makeRequest,
     cache,
+    outbox,
     isBusy,
     isSafeMethod,
     config,
@@ -418,6 +418,29 @@ up.protocol = (function() {
   @stable
   */
 
+  /*-
+  The server may set this optional response header to set the interval until
+  a [polling](/up-poll) fragment is reloaded again.
+
+  The header value is the number of milliseconds until the next reload.
+  It only affects the next reload. Afterwards the fragment is polled at its regular
+  [adaptive interval](/up-poll#adaptive-intervals).
+
+  The interval is still limited by the fragment's `[up-min-interval]` and `[up-max-interval]` attributes.
+
+  ### Example
+
+  When the server knows that no changes are expected for the next 5 minutes,
+  it may ask the client to poll less frequently:
+
+  ```http
+  X-Up-Poll-Interval: 300000
+  ```
+
+  @header X-Up-Poll-Interval
+  @experimental
+  */
+
   /*-
   This request header contains the `[name]` of a [form field being validated](/input-up-validate).
 
@@ -498,6 +521,57 @@ up.protocol = (function() {
   @stable
   */
 
+  function toastsFromXHR(xhr) {
+    return extractHeader(xhr, 'toasts', parseToasts)
+  }
+
+  function parseToasts(value) {
+    return u.map(u.wrapList(JSON.parse(value)), function(toast) {
+      // A string is shorthand for a toast with that text.
+      return u.isString(toast) ? { content: u.escapeHTML(toast) } : toast
+    })
+  }
+
+  /*-
+  The server may set this response header to show [toasts](/toasts) with the
+  requested [fragment update](/a-up-follow).
+
+  The header value is a [JSON](https://en.wikipedia.org/wiki/JSON) array.
+  Each element in the array is either a string with the toast's text, or a JSON
+  object of options for `up.layer.open()`.
+
+  The server does not need to know the current page's selectors, since a toast
+  always opens in a new layer.
+
+  ### Example
+
+  ```http
+  Content-Type: text/html
+  X-Up-Toasts: ["Your changes were saved"]
+  ...
+
+  <html>
+    ...
+  </html>
+  ```
+
+  A toast with HTML content and custom options:
+
+  ```http
+  X-Up-Toasts: [{ "content": "<b>Could not save</b>", "class": "error", "dismissDelay": false }]
+  ```
+
+  Toasts are shown even if the response [closes the targeted overlay](/X-Up-Accept-Layer).
+
+  Toasts are only shown the first time a response is rendered.
+  When a [cached](/up.request#options.cache) response is rendered again, or when a cached render is
+  [revalidated](/up.fragment.config#config.autoRevalidate), its toasts are not shown again.
+  Toasts are never [persisted](/up.network.config#config.cacheStore) with a cached response.
+
+  @header X-Up-Toasts
+  @experimental
+  */
+
   function acceptLayerFromXHR(xhr) {
     // Even if acceptance has no value, the server will send
     // X-Up-Accept-Layer: null
@@ -794,6 +868,32 @@ up.protocol = (function() {
     return nonces
   }
 
+  /*-
+  @function up.protocol.cacheControlFromHeader
+  @internal
+  */
+  function cacheControlFromHeader(header) {
+    let directives = {}
+
+    if (header) {
+      for (let part of header.split(',')) {
+        let match = part.trim().match(/^([^=]+)(?:=\s*"?([^"]*)"?)?$/)
+        if (match) {
+          let name = match[1].trim().toLowerCase()
+          let value = match[2]
+          if (u.isUndefined(value)) {
+            value = true
+          } else if (/^\d+$/.test(value)) {
+            value = Number(value)
+          }
+          directives[name] = value
+        }
+      }
+    }
+
+    return directives
+  }
+
   function wrapMethod(method, params) {
     params.add(config.methodParam, method)
     return 'POST'
@@ -816,6 +916,7 @@ up.protocol = (function() {
     contextFromXHR,
     dismissLayerFromXHR,
     eventPlansFromXHR,
+    toastsFromXHR,
     clearCacheFromXHR,
     csrfHeader,
     csrfParam,
@@ -825,5 +926,6 @@ up.protocol = (function() {
     headerize,
     wrapMethod,
     cspNoncesFromHeader,
+    cacheControlFromHeader,
   }
 })()
@@ -6,6 +6,7 @@ This package contains functionality to passively receive updates from the server
 
 @see [up-hungry]
 @see [up-poll]
+@see [up-stream]
 
 @module up.radio
 */
@@ -30,6 +31,25 @@ up.radio = (function() {
   @param {Function(number): number} [config.pollIntervalScale]
     TODO: Docs
 
+  @param {number} [config.pollBackoff=1.5]
+    The factor by which the polling interval grows when the server has no new content.
+
+    The interval grows after every reload that did not render a new fragment
+    (e.g. a `304 Not Modified` response) or that failed.
+    As soon as the server sends new content, the regular interval is used again.
+
+    Set to `1` to always poll at the same interval.
+
+  @param {number} [config.pollMaxBackoff=8]
+    The maximum factor by which the polling interval may grow through `config.pollBackoff`.
+
+  @param {number} [config.pollJitter=0.1]
+    The maximum ratio by which the polling interval is randomly shortened or extended.
+
+    This prevents multiple browser tabs from polling the server at the same time.
+
+    Set to `0` to disable jitter.
+
   @param {boolean|string|Function(Element)} [config.pollEnabled=true]
     Whether Unpoly will follow instructions to poll fragments, like the `[up-poll]` attribute.
 
@@ -48,16 +68,92 @@ up.radio = (function() {
     When an update is skipped due to polling being disabled,
     Unpoly will try to poll again after the configured interval.
 
+    This setting also controls whether updates [pushed by the server](/up-stream) are applied.
+    A pushed update that is skipped is not applied later.
+
+  @param {string|Function(string): string} [config.streamTransport='sse']
+    How [streams](/up-stream) connect to the server.
+
+    With `'sse'` Unpoly opens an [`EventSource`](https://developer.mozilla.org/en-US/docs/Web/API/EventSource)
+    to receive [server-sent events](https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events).
+
+    With `'websocket'` Unpoly opens a [`WebSocket`](https://developer.mozilla.org/en-US/docs/Web/API/WebSocket).
+    Every message received through the socket is applied as an update.
+
+    You may also use the name of a custom adapter from `config.streamAdapters`,
+    or pass a function that accepts the stream URL and returns the transport name.
+
+  @param {Object<string, Function(string, Object): Object>} [config.streamAdapters]
+    An object mapping [transport](#config.streamTransport) names to adapter functions.
+
+    An adapter function is called with the stream URL and the options passed to `up.radio.subscribe()`.
+    It must return a connection object that implements the following interface:
+
+    | Property      | Description |
+    |---------------|-------------|
+    | `onmessage`   | Unpoly sets this to a function. The adapter calls it with an object `{ data }` for every message, where `data` is the message string. |
+    | `onopen`      | Unpoly sets this to a function. The adapter calls it when the connection is established. |
+    | `onerror`     | Unpoly sets this to a function. The adapter calls it when the connection is lost. Unpoly will then close the connection and reconnect. |
+    | `close()`     | Closes the connection. |
+
+    `EventSource` and `WebSocket` objects already implement this interface.
+
+    For example, this adapter delivers messages from an existing socket connection:
+
+    ```js
+    up.radio.config.streamAdapters.cable = function(url) {
+      let connection = { close() { subscription.unsubscribe() } }
+      let subscription = consumer.subscriptions.create({ channel: url }, {
+        connected: () => connection.onopen?.(),
+        disconnected: () => connection.onerror?.(),
+        received: (data) => connection.onmessage?.({ data }),
+      })
+      return connection
+    }
+
+    up.radio.subscribe('NotificationsChannel', { transport: 'cable' })
+    ```
+
+  @param {Function(number): number} [config.streamReconnectDelay]
+    The number of milliseconds to wait before reconnecting a [stream](/up-stream)
+    after the connection was lost.
+
+    The function is called with the number of the reconnect attempt, starting at `1`.
+    By default the delay is doubled with every attempt, starting with 1 second and
+    never exceeding 30 seconds.
+
+  @param {boolean|Function(string): boolean} [config.pauseHiddenStreams=true]
+    Whether to close [stream](/up-stream) connections while the browser tab is hidden.
+
+    When the tab becomes visible again, Unpoly reconnects.
+
   @stable
   */
   const config = new up.Config(() => ({
     hungrySelectors: ['[up-hungry]'],
     pollInterval: 30000,
     pollIntervalScale: (interval) => interval * (up.network.shouldReduceRequests() ? 2 : 1),
+    pollBackoff: 1.5,
+    pollMaxBackoff: 8,
+    pollJitter: 0.1,
     pollEnabled: 'auto',
+    streamTransport: 'sse',
+    streamAdapters: {
+      sse: (url, options) => new EventSource(url, { withCredentials: !!options.withCredentials }),
+      websocket: (url) => new WebSocket(webSocketURL(url)),
+    },
+    streamReconnectDelay: (attempt) => Math.min(1000 * (2 ** (attempt - 1)), 30 * 1000),
+    pauseHiddenStreams: true,
   }))
 
+  // A list of { key, layer, channel, count } objects.
+  let channels = []
+
   function reset() {
+    for (let { channel } of channels) {
+      channel.stop()
+    }
+    channels = []
     config.reset()
   }
 
@@ -134,6 +230,10 @@ up.radio = (function() {
     The reload interval in milliseconds.
 
     Defaults to `up.radio.config.pollInterval`.
+  @param {number} [options.minInterval]
+    The minimum reload interval in milliseconds.
+  @param {number} [options.maxInterval]
+    The maximum reload interval in milliseconds.
   @param {string} options.url
     Defaults to the element's closest `[up-source]` attribute.
   @stable
@@ -154,8 +254,134 @@ up.radio = (function() {
     up.FragmentPolling.forFragment(element).forceStop()
   }
 
-  function pollIssue(fragment) {
-    let enabled = config.pollEnabled
+  /*-
+  Receives fragment updates pushed by the server.
+
+  Opens a connection to the given URL and renders every message the server sends.
+
+  ### Message format
+
+  By default the connection is an [`EventSource`](https://developer.mozilla.org/en-US/docs/Web/API/EventSource),
+  so the server must respond with a stream of [server-sent events](https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events).
+  To use a `WebSocket` or another connection instead, pass a [`{ transport }`](/up.radio.config#config.streamTransport) option.
+
+  A message may be a string of HTML. The target selector is then derived from the
+  root element in the HTML, unless a `{ target }` option is passed:
+
+  ```text
+  data: <div class="unread-count">3 new messages</div>
+
+  ```
+
+  A message may also be a JSON object with the same directives that the server
+  can send as [response headers](/up.protocol):
+
+  ```text
+  data: {"target": ".unread-count", "html": "<div class='unread-count'>3 new messages</div>"}
+
+  data: {"events": [{"type": "message:received", "id": 123}]}
+
+  data: {"clearCache": "/messages/*"}
+
+  ```
+
+  The following properties are supported:
+
+  | Property       | Effect |
+  |----------------|--------|
+  | `html`         | The HTML to render. |
+  | `target`       | The selector to update. Works like [`X-Up-Target`](/X-Up-Target). |
+  | `events`       | An array of events to emit. Works like [`X-Up-Events`](/X-Up-Events). |
+  | `clearCache`   | A URL pattern of responses to [uncache](/up.cache.clear). Works like [`X-Up-Clear-Cache`](/X-Up-Clear-Cache). |
+  | `acceptLayer`  | A value with which to accept the targeted overlay. Works like [`X-Up-Accept-Layer`](/X-Up-Accept-Layer). |
+  | `dismissLayer` | A value with which to dismiss the targeted overlay. Works like [`X-Up-Dismiss-Layer`](/X-Up-Dismiss-Layer). |
+
+  Before a message is applied, an `up:radio:message` event is emitted.
+
+  ### Skipping updates
+
+  Pushed updates follow the same rules as [polling](/up-poll). By default messages are ignored
+  while the browser tab is hidden, or while the fragment is on a background layer.
+  See `up.radio.config.pollEnabled` for details.
+
+  ### Connection handling
+
+  When the connection is lost, Unpoly reconnects after a [delay](/up.radio.config#config.streamReconnectDelay)
+  that grows with every failed attempt.
+
+  While the browser tab is hidden, the connection is [closed](/up.radio.config#config.pauseHiddenStreams).
+
+  Multiple subscriptions with the same URL, target and layer share a single connection.
+  A message is applied once, through the first subscribing element that is still attached and may be updated.
+
+  @function up.radio.subscribe
+  @param {string} url
+    The URL of the stream.
+  @param {string} [options.target]
+    The selector to update with HTML messages that don't specify a target.
+  @param {string|up.Layer} [options.layer='current']
+    The layer to update.
+  @param {Element} [options.origin]
+    The element that subscribed to the stream.
+
+    Messages will update the origin's layer and `up:radio:message` will be emitted on the origin.
+  @param {string} [options.transport]
+    How to connect to the server.
+
+    Defaults to `up.radio.config.streamTransport`.
+  @param {boolean} [options.withCredentials=false]
+    Whether to send cookies to a cross-origin stream URL.
+  @return {Function()}
+    A function that unsubscribes from the stream.
+
+    When the last subscriber has unsubscribed, the connection is closed.
+  @experimental
+  */
+  function subscribe(url, options = {}) {
+    let { origin } = options
+    let key = [url, options.target, options.transport].join('|')
+    // Subscriptions for different layers don't share a channel, since messages update the subscriber's layer.
+    let layer = origin ? up.layer.get(origin) : options.layer
+    let entry = u.find(channels, (candidate) => candidate.key === key && candidate.layer === layer)
+
+    if (!entry) {
+      entry = { key, layer, channel: new up.RadioChannel(url, options), count: 0 }
+      channels.push(entry)
+    }
+
+    // The channel picks an origin for every message, since any subscriber may be removed first.
+    if (origin) {
+      entry.channel.origins.push(origin)
+    }
+
+    entry.count++
+    entry.channel.start()
+
+    return function() {
+      entry.count--
+
+      if (origin) {
+        u.remove(entry.channel.origins, origin)
+      }
+
+      // When a streaming fragment is swapped for a new version of itself,
+      // the new fragment may subscribe after the old fragment has unsubscribed.
+      // We wait a task to keep the connection open for the new fragment.
+      u.task(() => {
+        if (entry.count === 0 && channels.includes(entry)) {
+          entry.channel.stop()
+          u.remove(channels, entry)
+        }
+      })
+    }
+  }
+
+  // Returns a reason why the given fragment should not be updated
+  // by polling or server pushes.
+  //
+  // The fragment may be undefined for a server push without an { origin }.
+  function updateIssue(fragment) {
+    let enabled = u.evalOption(config.pollEnabled, fragment)
 
     if (enabled === false) {
       return 'User has disabled polling'
@@ -166,16 +392,34 @@ up.radio = (function() {
         return 'Tab is hidden'
       }
 
-      if (!up.layer.get(fragment)?.isFront?.()) {
+      if (fragment && !up.layer.get(fragment)?.isFront?.()) {
         return 'Fragment is on a background layer'
       }
     }
+  }
+
+  function pollIssue(fragment) {
+    let issue = updateIssue(fragment)
+    if (issue) {
+      return issue
+    }
 
     if (up.emit(fragment, 'up:fragment:poll', { log: ['Polling fragment', fragment] }).defaultPrevented) {
       return 'User prevented up:fragment:poll event'
     }
   }
 
+  function pushIssue(origin) {
+    return updateIssue(origin)
+  }
+
+  // Resolves a relative URL like /stream to ws://host/stream.
+  function webSocketURL(url) {
+    let parsed = new URL(url, location.href)
+    parsed.protocol = parsed.protocol.replace(/^http/, 'ws')
+    return parsed.toString()
+  }
+
   /*-
   Elements with an `[up-poll]` attribute are [reloaded](/up.reload) from the server periodically.
 
@@ -206,6 +450,27 @@ up.radio = (function() {
   up.radio.config.pollInterval = 10000
   ```
 
+  ### Adaptive intervals
+
+  The reload interval adapts to how often the fragment changes:
+
+  - When the server has no new content (e.g. by responding with `304 Not Modified`),
+    or when a reload fails, the interval grows by `up.radio.config.pollBackoff`.
+  - As soon as the server sends new content, the regular interval is used again.
+  - The interval is randomly shortened or extended by up to `up.radio.config.pollJitter`,
+    so multiple browser tabs don't poll the server at the same time.
+
+  You may limit the interval with `[up-min-interval]` and `[up-max-interval]` attributes:
+
+  ```html
+  <div class="unread-count" up-poll up-interval="10000" up-max-interval="60000">
+    2 new messages
+  </div>
+  ```
+
+  The server may also set the interval until the next reload with an
+  [`X-Up-Poll-Interval`](/X-Up-Poll-Interval) response header.
+
   ### Controlling the source URL
 
   The element will be reloaded from the URL from which it was originally loaded.
@@ -254,6 +519,15 @@ up.radio = (function() {
     The reload interval in milliseconds.
 
     Defaults to `up.radio.config.pollInterval`.
+  @param [up-min-interval]
+    The minimum reload interval in milliseconds.
+
+    This limits how far the interval may be shortened by [jitter](/up.radio.config#config.pollJitter)
+    or the server.
+  @param [up-max-interval]
+    The maximum reload interval in milliseconds.
+
+    This limits how far the interval may grow while the server has no new content.
   @param [up-source]
     The URL from which to reload the fragment.
 
@@ -283,6 +557,71 @@ up.radio = (function() {
   @experimental
   */
 
+  /*-
+  Elements with an `[up-stream]` attribute receive updates pushed by the server.
+
+  While the element is attached, Unpoly keeps a connection to the given URL open and
+  renders every message the server sends. By default the element itself is updated.
+
+  This is a more efficient alternative to [polling](/up-poll) for content that changes rarely.
+
+  ### Example
+
+  ```html
+  <div class="unread-count" up-stream="/unread-count/stream">
+    2 new messages
+  </div>
+  ```
+
+  The server can now update the counter by sending a [server-sent event](https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events):
+
+  ```text
+  data: <div class="unread-count">3 new messages</div>
+
+  ```
+
+  See `up.radio.subscribe()` for the message format and connection handling.
+
+  @selector [up-stream]
+  @param up-stream
+    The URL of the stream.
+  @param [up-target]
+    The selector to update with HTML messages that don't specify a target.
+
+    Defaults to the element with the `[up-stream]` attribute.
+  @param [up-transport]
+    How to connect to the server.
+
+    Defaults to `up.radio.config.streamTransport`.
+  @experimental
+  */
+  up.compiler('[up-stream]', function(element) {
+    let target = element.getAttribute('up-target') || up.fragment.tryToTarget(element)
+    let transport = element.getAttribute('up-transport') || undefined
+    return subscribe(element.getAttribute('up-stream'), { target, transport, origin: element })
+  })
+
+  /*-
+  This event is emitted when a [stream](/up-stream) receives a message from the server.
+
+  The event is emitted on the element with the `[up-stream]` attribute.
+  For streams opened with `up.radio.subscribe()` without an `{ origin }`, it is emitted on the `document`.
+
+  @event up:radio:message
+  @param {string} event.url
+    The URL of the stream.
+  @param {Object} event.message
+    The parsed message.
+
+    For a message containing only HTML, this is an object `{ html }`.
+    For a JSON message, this is the parsed object.
+
+    Listeners may change the message before it is applied.
+  @param event.preventDefault()
+    Prevents the message from being applied.
+  @experimental
+  */
+
   up.on('up:framework:reset', reset)
 
   return {
@@ -290,6 +629,8 @@ up.radio = (function() {
     hungrySolutions,
     startPolling,
     stopPolling,
+    subscribe,
     pollIssue,
+    pushIssue,
   }
 })()